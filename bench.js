@@ -0,0 +1,190 @@
+// ==========================================
+// HEADLESS BENCHMARK
+// ==========================================
+
+// Runs every solver on every maze and prints one row per run:
+//
+//   node bench.js                                 Maze_Data/*.data
+//   node bench.js a.data b.data                   the given files
+//   node bench.js --generate 100 --size 80x60     100 generated mazes (seeds 1..100)
+//
+// Options:
+//   --solvers A*,BFS     only these solvers (names as on the page buttons)
+//   --load my_solver.js  also run the solvers this file registers (repeatable)
+//   --gen Kruskal        generator for --generate (default Backtracker)
+//   --seed 7             first seed for --generate (default 1)
+//   --max-steps N        give up on a run after N steps (default 10000000)
+//   --json               JSON array instead of a table
+//
+// steps:    yields of solve_step_by_step (one frame each on the page)
+// visited:  Maze.counts[Count.REACHED] (cells that got VISITED_BIT, a team bit or PRUNED_BIT)
+// frontier: peak frontierSize() - queue, stack, open list or trail, depending on the solver
+// length:   PATH_BIT cells; valid: validatePath()
+//
+// Every solver runs with its registered option defaults (MT_M2 / MT_M1: simulated threads,
+// round-robin scheduler).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const core = require('./maze.js');
+
+const { Maze, Count, GENERATORS, SOLVER_REGISTRY, solverOptionDefaults, validatePath } = core;
+
+// Solver files (solvers.js, --load) are page scripts: run them as the page does, in one
+// scope that sees the maze.js core, palette.js and each other as globals
+const solverScope = vm.createContext({ ...core, console });
+
+function loadSolvers(file) {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), solverScope, { filename: file });
+}
+
+function parseArgs(argv) {
+    const opts = {
+        files: [], json: false, solvers: null, load: [],
+        generate: 0, width: 50, height: 50, gen: 'Backtracker', seed: 1, maxSteps: 10000000
+    };
+    const value = (i, flag) => {
+        if (i >= argv.length) throw new Error(`${flag} needs a value`);
+        return argv[i];
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') opts.json = true;
+        else if (arg === '--solvers') opts.solvers = value(++i, arg).split(',').map(s => s.trim()).filter(Boolean);
+        else if (arg === '--load') opts.load.push(value(++i, arg));
+        else if (arg === '--generate') opts.generate = parseInt(value(++i, arg));
+        else if (arg === '--gen') opts.gen = value(++i, arg);
+        else if (arg === '--seed') opts.seed = parseInt(value(++i, arg));
+        else if (arg === '--max-steps') opts.maxSteps = parseInt(value(++i, arg));
+        else if (arg === '--size') {
+            const m = /^(\d+)x(\d+)$/.exec(value(++i, arg));
+            if (!m) throw new Error(`--size wants WIDTHxHEIGHT, got ${argv[i]}`);
+            opts.width = parseInt(m[1]);
+            opts.height = parseInt(m[2]);
+        } else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else opts.files.push(arg);
+    }
+
+    if (opts.generate > 0 && !GENERATORS[opts.gen]) {
+        throw new Error(`Unknown generator "${opts.gen}" (have: ${Object.keys(GENERATORS).join(', ')})`);
+    }
+    if (opts.generate > 0 && opts.files.length > 0) throw new Error('Give either .data files or --generate, not both');
+    if (!(opts.maxSteps > 0)) throw new Error('--max-steps must be a positive number');
+    return opts;
+}
+
+// [label, load(maze)] for every maze to run on
+function mazeSources(opts) {
+    if (opts.generate > 0) {
+        const sources = [];
+        for (let i = 0; i < opts.generate; i++) {
+            const seed = opts.seed + i;
+            sources.push([`${opts.gen} ${opts.width}x${opts.height} #${seed}`, (maze) => {
+                const generator = new GENERATORS[opts.gen](maze, opts.width, opts.height, seed);
+                for (let _ of generator.generate_step_by_step()) { /* run to completion */ }
+            }]);
+        }
+        return sources;
+    }
+
+    let files = opts.files;
+    if (files.length === 0) {
+        const dir = path.join(__dirname, 'Maze_Data');
+        files = fs.readdirSync(dir).filter(f => f.endsWith('.data')).sort().map(f => path.join(dir, f));
+    }
+    return files.map(file => [path.basename(file), (maze) => maze.LoadFromBuffer(fs.readFileSync(file))]);
+}
+
+function runSolver(maze, name, maxSteps) {
+    maze.Reset();
+    const solver = SOLVER_REGISTRY.get(name).create(maze, solverOptionDefaults(name));
+
+    let steps = 0;
+    let peak = 0;
+    let state = 'STEP_LIMIT';
+    const t0 = process.hrtime.bigint();
+    for (let s of solver.solve_step_by_step()) {
+        steps += 1;
+        peak = Math.max(peak, solver.frontierSize());
+        if (s === 'FINISHED' || s === 'NO_SOLUTION') {
+            state = s;
+            break;
+        }
+        if (steps >= maxSteps) break;
+    }
+    const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+
+    const validation = state === 'STEP_LIMIT'
+        ? { ok: false, message: `Gave up after ${maxSteps} steps` }
+        : validatePath(maze, state === 'FINISHED', SOLVER_REGISTRY.get(name).complete);
+    return {
+        result: state,
+        steps,
+        visited: maze.counts[Count.REACHED],
+        frontier: peak,
+        length: maze.pathStats().length,
+        valid: validation.ok,
+        message: validation.message,
+        ms: Math.round(ms * 10) / 10
+    };
+}
+
+const COLUMNS = [
+    ['maze', 'Maze'], ['solver', 'Solver'], ['result', 'Result'], ['steps', 'Steps'],
+    ['visited', 'Visited'], ['frontier', 'Peak frontier'], ['length', 'Path'], ['valid', 'Valid'], ['ms', 'ms']
+];
+
+function printTable(rows) {
+    const cell = (row, key) => key === 'valid' ? (row.valid ? 'yes' : 'NO') : key === 'ms' ? row.ms.toFixed(1) : String(row[key]);
+    const widths = COLUMNS.map(([key, title]) => Math.max(title.length, ...rows.map(r => cell(r, key).length)));
+    const numeric = (key) => typeof rows[0][key] === 'number';
+    const line = (values) => values.map((v, i) => numeric(COLUMNS[i][0]) ? v.padStart(widths[i]) : v.padEnd(widths[i])).join('  ');
+
+    console.log(line(COLUMNS.map(([, title]) => title)));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    for (let row of rows) console.log(line(COLUMNS.map(([key]) => cell(row, key))));
+
+    const failed = rows.filter(r => !r.valid);
+    if (failed.length > 0) {
+        console.log(`\n${failed.length} invalid run(s):`);
+        for (let r of failed) console.log(`  ${r.maze} / ${r.solver}: ${r.message}`);
+    }
+}
+
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+        for (let file of ['palette.js', 'solvers.js']) loadSolvers(path.join(__dirname, file));
+        for (let file of opts.load) loadSolvers(path.resolve(file));
+        const known = [...SOLVER_REGISTRY.keys()];
+        opts.solvers = opts.solvers || known;
+        for (let name of opts.solvers) {
+            if (!SOLVER_REGISTRY.has(name)) throw new Error(`Unknown solver "${name}" (have: ${known.join(', ')})`);
+        }
+    } catch (e) {
+        console.error(`bench: ${e.message}`);
+        process.exit(2);
+    }
+
+    const rows = [];
+    for (let [label, load] of mazeSources(opts)) {
+        const maze = new Maze();
+        try {
+            load(maze);
+        } catch (e) {
+            console.error(`bench: skipping ${label}: ${e.message}`);
+            continue;
+        }
+        for (let name of opts.solvers) {
+            rows.push({ maze: label, solver: name, ...runSolver(maze, name, opts.maxSteps) });
+        }
+    }
+
+    if (opts.json) console.log(JSON.stringify(rows, null, 2));
+    else if (rows.length > 0) printTable(rows);
+    process.exitCode = rows.every(r => r.valid) ? 0 : 1;
+}
+
+main();
@@ -43,7 +43,11 @@ const InternalBit = {
     DEAD_JUNCTION_BIT: 0x400000,
 
     // MT_M1 Specific
-    PRUNED_BIT: 0x800000
+    PRUNED_BIT: 0x800000,
+
+    // Informed search (A*, Greedy, IDA*)
+    OPEN_BIT: 0x1000000,
+    CURRENT_BIT: 0x2000000
 };
 
 // ==========================================
@@ -86,60 +90,388 @@ class Deque {
     get length() { return this.q.length; }
 }
 
+// Binary min-heap ordered by a compare(a, b) function (negative = a first)
+class MinHeap {
+    constructor(compare) {
+        this.items = [];
+        this.compare = compare;
+    }
+
+    get length() { return this.items.length; }
+
+    push(item) {
+        const a = this.items;
+        a.push(item);
+        let i = a.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(a[i], a[parent]) >= 0) break;
+            [a[i], a[parent]] = [a[parent], a[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const a = this.items;
+        const top = a[0];
+        const last = a.pop();
+        if (a.length > 0) {
+            a[0] = last;
+            let i = 0;
+            while (true) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let best = i;
+                if (l < a.length && this.compare(a[l], a[best]) < 0) best = l;
+                if (r < a.length && this.compare(a[r], a[best]) < 0) best = r;
+                if (best === i) break;
+                [a[i], a[best]] = [a[best], a[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+}
+
+// Seeded PRNG (Mulberry32) so generated mazes are reproducible from a number
+class SeededRandom {
+    constructor(seed = 1) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    nextInt(n) { return Math.floor(this.next() * n); }
+
+    pick(arr) { return arr[this.nextInt(arr.length)]; }
+
+    shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            const tmp = arr[i]; arr[i] = arr[j]; arr[j] = tmp;
+        }
+        return arr;
+    }
+}
+
 // ==========================================
 // 4. MAZE & SHARED DATA
 // ==========================================
 
+const WALL_MASK = InternalBit.EAST_BIT | InternalBit.SOUTH_BIT;
+
+// Per-cell terrain; entering a cell costs TERRAIN_COST[type] (only cost-aware solvers care)
+const Terrain = {
+    Plain: 0,
+    Road: 1,
+    Mud: 2,
+    Water: 3
+};
+
+const TERRAIN_COST = [2, 1, 5, 10];
+
+// "TRRN": marks the optional terrain block appended after the wall rows of a .data file.
+// It is packed like the walls (16 cells per int32, 2 bits = terrain type per cell), so
+// readers that stop after the last wall row still load the file.
+const TERRAIN_MAGIC = 0x4E525254;
+
+// Largest width/height accepted from a .data header
+const MAX_MAZE_DIM = 2048;
+
+// A cell counts as reached by a run once any of these is set on it (see Maze.reached)
+const REACHED_BITS = InternalBit.VISITED_BIT | InternalBit.VISITED_TB | InternalBit.VISITED_BT | InternalBit.PRUNED_BIT;
+const TEAM_BITS = InternalBit.VISITED_TB | InternalBit.VISITED_BT;
+
+// Slots of Maze.counts: totals since the last Reset, updated on every flag change and visit
+// so the stats panel and the heatmap never have to scan the maze
+const Count = {
+    REACHED: 0,     // cells that were ever reached
+    PATH_LENGTH: 1, // PATH_BIT cells
+    PATH_COST: 2,   // summed cost of entering them (the start excluded)
+    MAX_ORDER: 3,   // largest visit order given out, -1 = none (heatmap scale)
+    MAX_DEPTH: 4,   // largest search depth recorded, -1 = none
+    SIZE: 5
+};
+
+// Maze.counts before anything has run
+function newCounts() {
+    const counts = new Int32Array(Count.SIZE);
+    counts[Count.MAX_ORDER] = -1;
+    counts[Count.MAX_DEPTH] = -1;
+    return counts;
+}
+
+class MazeLoadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MazeLoadError';
+    }
+}
+
+// PARENT_* bit for a route direction (0 for Uninitialized)
+function parentFlag(dir) {
+    if (dir === Direction.North) return InternalBit.PARENT_NORTH;
+    if (dir === Direction.East) return InternalBit.PARENT_EAST;
+    if (dir === Direction.South) return InternalBit.PARENT_SOUTH;
+    if (dir === Direction.West) return InternalBit.PARENT_WEST;
+    return 0;
+}
+
 class Maze {
     constructor() {
         this.width = 0;
         this.height = 0;
+        this.solvable = 0;
+        this.start = new Position();
+        this.end = new Position();
         this.poMazeData = []; // Will be Int32Array
         this.visitOrder = []; // Will be Int32Array
-        this.thread_ownership = new Map();
+        this.depth = []; // Will be Int32Array (-1 = not visited; see setVisitOrder)
+        this.thread_ownership = []; // Will be Int32Array (-1 = no owner)
+        this.terrain = []; // Will be Uint8Array (Terrain per cell)
+        this.pathOrder = []; // Positions in the order markPath() was called (see validatePath)
+        this.reached = []; // Will be Uint8Array (1 = reached since the last Reset)
+        this.counts = newCounts(); // run totals, kept up to date by setCell and setVisitOrder
+        this.held = []; // per thread owner: cells that still hold a team bit
+        this._resetTracking();
     }
 
     async Load(url) {
-        const response = await fetch(url);
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw new MazeLoadError(`Network error fetching ${url}: ${e.message}`);
+        }
+        if (!response.ok) {
+            throw new MazeLoadError(`HTTP ${response.status} ${response.statusText} fetching ${url}`);
+        }
         const buffer = await response.arrayBuffer();
+        this.LoadFromBuffer(buffer);
+    }
+
+    // Parses into temporaries and only commits on success, so a bad file leaves the current maze intact.
+    // Takes an ArrayBuffer or a view on one (e.g. a Node Buffer from fs.readFileSync).
+    LoadFromBuffer(buffer) {
+        if (ArrayBuffer.isView(buffer)) {
+            buffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+        if (buffer.byteLength < 12) {
+            throw new MazeLoadError(`Bad header: file is ${buffer.byteLength} bytes, the header alone needs 12`);
+        }
+
         const view = new DataView(buffer);
         let offset = 0;
 
         // Python: struct.unpack('iii', header_bytes)
-        this.width = view.getInt32(offset, true); offset += 4;
-        this.height = view.getInt32(offset, true); offset += 4;
+        const width = view.getInt32(offset, true); offset += 4;
+        const height = view.getInt32(offset, true); offset += 4;
         const solvable = view.getInt32(offset, true); offset += 4;
 
-        const size = this.width * this.height;
-        this.poMazeData = new Int32Array(size);
-        this.visitOrder = new Int32Array(size).fill(-1);
+        if (width <= 0 || height <= 0) {
+            throw new MazeLoadError(`Bad header: invalid dimensions ${width}x${height}`);
+        }
+        if (width > MAX_MAZE_DIM || height > MAX_MAZE_DIM) {
+            throw new MazeLoadError(`Dimensions too large: ${width}x${height} (max ${MAX_MAZE_DIM} per side)`);
+        }
+        if (solvable !== 0 && solvable !== 1) {
+            throw new MazeLoadError(`Bad header: solvable flag must be 0 or 1, got ${solvable}`);
+        }
+
+        const rowBytes = Math.ceil(width / 16) * 4;
+        const expected = 12 + height * rowBytes;
+        if (buffer.byteLength < expected) {
+            const row = Math.floor((buffer.byteLength - 12) / rowBytes);
+            const got = (buffer.byteLength - 12) % rowBytes;
+            throw new MazeLoadError(`Truncated data: row ${row} of ${height} has ${got} of ${rowBytes} bytes`);
+        }
+        const withTerrain = expected + 4 + height * rowBytes;
+        const hasTerrain = buffer.byteLength > expected && buffer.byteLength >= expected + 4 &&
+            view.getUint32(expected, true) === TERRAIN_MAGIC;
+        if (buffer.byteLength > expected && !hasTerrain) {
+            throw new MazeLoadError(`Bad header: ${width}x${height} needs ${expected} bytes but file has ${buffer.byteLength}`);
+        }
+        if (hasTerrain && buffer.byteLength < withTerrain) {
+            const row = Math.floor((buffer.byteLength - expected - 4) / rowBytes);
+            throw new MazeLoadError(`Truncated terrain: row ${row} of ${height} is incomplete`);
+        }
+        if (hasTerrain && buffer.byteLength > withTerrain) {
+            throw new MazeLoadError(`Bad terrain block: ${width}x${height} needs ${withTerrain} bytes but file has ${buffer.byteLength}`);
+        }
+
+        const size = width * height;
+        const data = new Int32Array(size);
+        const terrain = new Uint8Array(size);
 
         // Python Logic: read 4 bytes (int), parse 16 cells (2 bits each)
-        for (let row = 0; row < this.height; row++) {
+        for (let row = 0; row < height; row++) {
             let col = 0;
-            while (col < this.width) {
-                if (offset >= buffer.byteLength) break;
+            while (col < width) {
                 // int_bytes = f.read(4)
                 let bits = view.getInt32(offset, true); offset += 4;
 
                 for (let i = 0; i < 16; i++) {
-                    if (col >= this.width) break;
+                    if (col >= width) break;
 
                     const east = bits & 1;
                     const south = (bits >> 1) & 1;
 
-                    const idx = row * this.width + col;
+                    const idx = row * width + col;
                     let val = 0;
                     if (east) val |= InternalBit.EAST_BIT;
                     if (south) val |= InternalBit.SOUTH_BIT;
 
-                    this.poMazeData[idx] = val;
+                    data[idx] = val;
 
                     bits >>= 2;
                     col += 1;
                 }
             }
         }
+
+        if (hasTerrain) {
+            offset += 4; // TERRAIN_MAGIC
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col += 16) {
+                    let bits = view.getInt32(offset, true); offset += 4;
+                    for (let i = 0; i < 16 && col + i < width; i++) {
+                        terrain[row * width + col + i] = bits & 3;
+                        bits >>= 2;
+                    }
+                }
+            }
+        }
+
+        this._assign(width, height, solvable, data, terrain);
+    }
+
+    // Swap in freshly parsed wall data (every importer ends here once parsing succeeded)
+    _assign(width, height, solvable, data, terrain = new Uint8Array(width * height)) {
+        this.width = width;
+        this.height = height;
+        this.solvable = solvable;
+        this.poMazeData = data;
+        this.terrain = terrain;
+        this.visitOrder = new Int32Array(width * height).fill(-1);
+        this.depth = new Int32Array(width * height).fill(-1);
+        this.thread_ownership = new Int32Array(width * height).fill(-1);
+        this.pathOrder = [];
+        this.reached = new Uint8Array(width * height);
+        this.counts = newCounts();
+        this.held = [];
+        this._resetTracking();
+        this._defaultEnds();
+    }
+
+    isSolvable() { return this.solvable === 1; }
+
+    // Recompute the solvable flag with a plain flood fill from start (for formats without a header)
+    computeSolvable() {
+        const start = this.getStart();
+        const end = this.getEnd();
+        const seen = new Uint8Array(this.width * this.height);
+        const stack = [start];
+        seen[this._cellIndex(start)] = 1;
+        this.solvable = 0;
+
+        while (stack.length > 0) {
+            const cur = stack.pop();
+            if (cur.eq(end)) {
+                this.solvable = 1;
+                break;
+            }
+            for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
+                if (!this.canMove(cur, d)) continue;
+                const n = cur.move(d);
+                const idx = this._cellIndex(n);
+                if (!seen[idx]) {
+                    seen[idx] = 1;
+                    stack.push(n);
+                }
+            }
+        }
+        return this.solvable;
+    }
+
+    // Inverse of LoadFromBuffer: same header, 16 cells per int32 (2 bits each), rows padded.
+    // The terrain block is only appended when some cell is not Plain.
+    Save() {
+        const intsPerRow = Math.ceil(this.width / 16);
+        const rowsBytes = this.height * intsPerRow * 4;
+        const withTerrain = this.hasTerrain();
+        const buffer = new ArrayBuffer(12 + rowsBytes + (withTerrain ? 4 + rowsBytes : 0));
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        view.setInt32(offset, this.width, true); offset += 4;
+        view.setInt32(offset, this.height, true); offset += 4;
+        view.setInt32(offset, this.solvable, true); offset += 4;
+
+        for (let row = 0; row < this.height; row++) {
+            for (let col = 0; col < this.width; col += 16) {
+                let bits = 0;
+                for (let i = 0; i < 16 && col + i < this.width; i++) {
+                    const val = this.poMazeData[row * this.width + col + i];
+                    if (val & InternalBit.EAST_BIT) bits |= 1 << (2 * i);
+                    if (val & InternalBit.SOUTH_BIT) bits |= 2 << (2 * i);
+                }
+                view.setInt32(offset, bits, true); offset += 4;
+            }
+        }
+
+        if (withTerrain) {
+            view.setUint32(offset, TERRAIN_MAGIC, true); offset += 4;
+            for (let row = 0; row < this.height; row++) {
+                for (let col = 0; col < this.width; col += 16) {
+                    let bits = 0;
+                    for (let i = 0; i < 16 && col + i < this.width; i++) {
+                        bits |= this.terrain[row * this.width + col + i] << (2 * i);
+                    }
+                    view.setInt32(offset, bits, true); offset += 4;
+                }
+            }
+        }
+        return buffer;
+    }
+
+    sameTerrain(other) {
+        if (this.width !== other.width || this.height !== other.height) return false;
+        return this.terrain.every((t, i) => t === other.terrain[i]);
+    }
+
+    // True if both mazes have the same dimensions and EAST_BIT/SOUTH_BIT layout
+    sameWalls(other) {
+        if (this.width !== other.width || this.height !== other.height) return false;
+        for (let i = 0; i < this.poMazeData.length; i++) {
+            if ((this.poMazeData[i] & WALL_MASK) !== (other.poMazeData[i] & WALL_MASK)) return false;
+        }
+        return true;
+    }
+
+    // Allocate a blank maze with every wall standing (generators carve from here)
+    Init(width, height) {
+        this.width = width;
+        this.height = height;
+        const size = width * height;
+        this.solvable = 0;
+        this.poMazeData = new Int32Array(size).fill(WALL_MASK);
+        this.terrain = new Uint8Array(size);
+        this.visitOrder = new Int32Array(size).fill(-1);
+        this.depth = new Int32Array(size).fill(-1);
+        this.thread_ownership = new Int32Array(size).fill(-1);
+        this.pathOrder = [];
+        this.reached = new Uint8Array(size);
+        this.counts = newCounts();
+        this.held = [];
+        this._resetTracking();
+        this._defaultEnds();
     }
 
     Reset() {
@@ -154,21 +486,194 @@ class Maze {
             this.poMazeData[i] &= mask;
             this.visitOrder[i] = -1;
         }
-        this.thread_ownership.clear();
+        this.depth.fill(-1);
+        this.thread_ownership.fill(-1);
+        this.pathOrder = [];
+        this.reached.fill(0);
+        this.counts.set(newCounts());
+        this.held = [];
+        this.markAllDirty();
+    }
+
+    // Redraw bookkeeping: cells changed since the last takeDirty(), and the isJunction cache
+    _resetTracking() {
+        const size = this.width * this.height;
+        this.dirty = new Uint8Array(size);
+        this.dirtyCells = [];
+        this.allDirty = true;
+        this.junctions = new Int8Array(size).fill(-1); // -1 = not worked out yet
+    }
+
+    // Cell idx may look different now (flags, owner, terrain or visit order changed)
+    markDirty(idx) {
+        if (this.allDirty || this.dirty[idx]) return;
+        this.dirty[idx] = 1;
+        this.dirtyCells.push(idx);
+        // Past a quarter of the maze, checking every cell is cheaper than the list
+        if (this.dirtyCells.length > this.dirty.length / 4) this.allDirty = true;
+    }
+
+    // For changes that bypass setCell (Reset, snapshots, worker threads)
+    markAllDirty() {
+        this.allDirty = true;
+    }
+
+    // Indices of the cells changed since the last call, or null when any cell may have
+    // changed. Starts a new record; the renderer is the one caller.
+    takeDirty() {
+        const cells = this.allDirty ? null : this.dirtyCells;
+        for (let idx of this.dirtyCells) this.dirty[idx] = 0;
+        this.dirtyCells = [];
+        this.allDirty = false;
+        return cells;
+    }
+
+    // EAST_BIT/SOUTH_BIT of idx changed: the cells on both sides of those walls
+    _wallsChanged(idx) {
+        const cells = [idx];
+        if (idx % this.width < this.width - 1) cells.push(idx + 1);
+        if (idx + this.width < this.junctions.length) cells.push(idx + this.width);
+        for (let i of cells) {
+            this.junctions[i] = -1;
+            this.markDirty(i);
+        }
+    }
+
+    // Independent copy: walls, terrain, endpoints and the current run state
+    clone() {
+        const copy = new Maze();
+        copy.width = this.width;
+        copy.height = this.height;
+        copy.solvable = this.solvable;
+        copy.start = new Position(this.start.row, this.start.col);
+        copy.end = new Position(this.end.row, this.end.col);
+        copy.poMazeData = this.poMazeData.slice();
+        copy.visitOrder = this.visitOrder.slice();
+        copy.depth = this.depth.slice();
+        copy.thread_ownership = this.thread_ownership.slice();
+        copy.terrain = this.terrain.slice();
+        copy.pathOrder = this.pathOrder.slice();
+        copy.reached = this.reached.slice();
+        copy.counts = this.counts.slice();
+        copy.held = this.held.slice();
+        copy._resetTracking();
+        return copy;
+    }
+
+    // Copy of what a run changes (cell flags incl. walls, visit order and depth, thread
+    // owners, marked route, reached cells and the counts), for restoring this same maze later
+    snapshot() {
+        return {
+            data: this.poMazeData.slice(),
+            visitOrder: this.visitOrder.slice(),
+            depth: this.depth.slice(),
+            owners: this.thread_ownership.slice(),
+            pathOrder: this.pathOrder.slice(),
+            reached: this.reached.slice(),
+            counts: this.counts.slice(),
+            held: this.held.slice()
+        };
+    }
+
+    restoreSnapshot(snap) {
+        this.poMazeData.set(snap.data);
+        this.visitOrder.set(snap.visitOrder);
+        this.depth.set(snap.depth);
+        this.thread_ownership.set(snap.owners);
+        this.pathOrder = snap.pathOrder.slice();
+        this.reached.set(snap.reached);
+        this.counts.set(snap.counts);
+        this.held = snap.held.slice();
+        this.junctions.fill(-1);
+        this.markAllDirty();
+    }
+
+    // True when the maze is exactly in the snapshotted state
+    matchesSnapshot(snap) {
+        const same = (a, b) => {
+            for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+            return true;
+        };
+        return same(this.poMazeData, snap.data) && same(this.visitOrder, snap.visitOrder) &&
+            same(this.thread_ownership, snap.owners) && this.pathOrder.length === snap.pathOrder.length;
+    }
+
+    // Move the cell flags, thread owners and reached counters into fresh SharedArrayBuffers
+    // and return what a worker needs to attach a SharedMaze to them (fresh each run, so
+    // workers of an abandoned run can never scribble on the new one)
+    share() {
+        const shared = (array) => {
+            const copy = new array.constructor(new SharedArrayBuffer(array.byteLength));
+            copy.set(array);
+            return copy;
+        };
+        this.poMazeData = shared(this.poMazeData);
+        this.thread_ownership = shared(this.thread_ownership);
+        this.reached = shared(this.reached);
+        this.counts = shared(this.counts);
+        return {
+            width: this.width, height: this.height, solvable: this.solvable,
+            start: this.getStart(), end: this.getEnd(),
+            data: this.poMazeData.buffer, owners: this.thread_ownership.buffer,
+            reached: this.reached.buffer, counts: this.counts.buffer
+        };
     }
 
     _cellIndex(pos) { return pos.row * this.width + pos.col; }
 
+    // Also records the cell's depth in the tree the parent pointers form: 0 for a root
+    // (both start and end for bidirectional BFS), one more than its parent otherwise.
+    // Solvers set the parent first, so for BFS this is the distance from the start.
     setVisitOrder(pos, order) {
-        this.visitOrder[this._cellIndex(pos)] = order;
+        const idx = this._cellIndex(pos);
+        this.visitOrder[idx] = order;
+        const dir = this.getDirectionRouteBT(pos);
+        let depth = 0;
+        if (dir !== Direction.Uninitialized) {
+            const parent = this.depth[this._cellIndex(pos.move(dir))];
+            depth = parent === -1 ? -1 : parent + 1;
+        }
+        this.depth[idx] = depth;
+        this.markDirty(idx);
+        if (order > this.counts[Count.MAX_ORDER]) this.counts[Count.MAX_ORDER] = order;
+        if (depth > this.counts[Count.MAX_DEPTH]) this.counts[Count.MAX_DEPTH] = depth;
     }
 
     getVisitOrder(pos) {
         return this.visitOrder[this._cellIndex(pos)];
     }
 
-    getStart() { return new Position(0, Math.floor(this.width / 2)); }
-    getEnd() { return new Position(this.height - 1, Math.floor(this.width / 2)); }
+    // Start/End default to the middle of the top and bottom rows (where the .data tooling puts them)
+    _defaultEnds() {
+        this.start = new Position(0, Math.floor(this.width / 2));
+        this.end = new Position(this.height - 1, Math.floor(this.width / 2));
+    }
+
+    // Copies, so a solver can never move the endpoints by accident
+    getStart() { return new Position(this.start.row, this.start.col); }
+    getEnd() { return new Position(this.end.row, this.end.col); }
+
+    setStart(pos) { return this.setEnds(pos, this.end); }
+    setEnd(pos) { return this.setEnds(this.start, pos); }
+
+    // Both endpoints must be inside the maze and distinct; returns false (and changes nothing) otherwise
+    setEnds(start, end) {
+        if (!this.isInside(start) || !this.isInside(end) || start.eq(end)) return false;
+        this.start = new Position(start.row, start.col);
+        this.end = new Position(end.row, end.col);
+        return true;
+    }
+
+    // Markers read from a file (null = keep the current endpoint), each applied on its own.
+    // Returns the names of the ones that could not be placed, e.g. a lone start marker on
+    // the default end cell.
+    placeEnds(start, end) {
+        if (start && end && this.setEnds(start, end)) return [];
+        const rejected = [];
+        if (start && !this.setStart(start)) rejected.push("start");
+        if (end && !this.setEnd(end)) rejected.push("end");
+        return rejected;
+    }
 
     getCell(pos) {
         if (pos.row >= 0 && pos.row < this.height && pos.col >= 0 && pos.col < this.width) {
@@ -178,7 +683,30 @@ class Maze {
     }
 
     setCell(pos, value) {
-        this.poMazeData[this._cellIndex(pos)] = value;
+        const idx = this._cellIndex(pos);
+        const before = this.poMazeData[idx];
+        this.poMazeData[idx] = value;
+        if (before === value) return;
+        if (((before ^ value) & WALL_MASK) !== 0) this._wallsChanged(idx);
+        else this.markDirty(idx);
+        this._count(idx, before, value);
+    }
+
+    // Bring counts, reached and held up to date with a flag change of cell idx
+    _count(idx, before, after) {
+        if ((after & REACHED_BITS) && !this.reached[idx]) {
+            this.reached[idx] = 1;
+            this.counts[Count.REACHED] += 1;
+        }
+        if ((before ^ after) & InternalBit.PATH_BIT) {
+            const sign = (after & InternalBit.PATH_BIT) ? 1 : -1;
+            this.counts[Count.PATH_LENGTH] += sign;
+            if (idx !== this._cellIndex(this.start)) this.counts[Count.PATH_COST] += sign * TERRAIN_COST[this.terrain[idx]];
+        }
+        const owner = this.thread_ownership[idx];
+        if (owner >= 0 && !(before & TEAM_BITS) !== !(after & TEAM_BITS)) {
+            this.held[owner] = (this.held[owner] || 0) + ((after & TEAM_BITS) ? 1 : -1);
+        }
     }
 
     _hasFlag(pos, val) { return (this.getCell(pos) & val) !== 0; }
@@ -202,24 +730,98 @@ class Maze {
         return false;
     }
 
+    // --- Wall Editing Helpers ---
+    // North/West walls are stored on the neighbour (its SOUTH/EAST bit), same as canMove reads them
+    _wallOwner(pos, direction) {
+        if (direction === Direction.North) return [pos.move(Direction.North), InternalBit.SOUTH_BIT];
+        if (direction === Direction.West) return [pos.move(Direction.West), InternalBit.EAST_BIT];
+        if (direction === Direction.South) return [pos, InternalBit.SOUTH_BIT];
+        return [pos, InternalBit.EAST_BIT];
+    }
+
+    removeWall(pos, direction) {
+        const [owner, bit] = this._wallOwner(pos, direction);
+        this._clearFlag(owner, bit);
+    }
+
+    addWall(pos, direction) {
+        const [owner, bit] = this._wallOwner(pos, direction);
+        this._setFlag(owner, bit);
+    }
+
+    // --- Terrain ---
+    getTerrain(pos) { return this.terrain[this._cellIndex(pos)]; }
+    setTerrain(pos, type) {
+        const idx = this._cellIndex(pos);
+        this.terrain[idx] = type;
+        this.markDirty(idx);
+    }
+
+    // Cost of stepping INTO pos
+    getCost(pos) { return TERRAIN_COST[this.terrain[this._cellIndex(pos)]]; }
+
+    hasTerrain() { return this.terrain.some(t => t !== Terrain.Plain); }
+
+    // Number of PATH_BIT cells and the summed cost of entering each of them after the start
+    pathStats() {
+        return { length: this.counts[Count.PATH_LENGTH], cost: this.counts[Count.PATH_COST] };
+    }
+
+    // Raw EAST_BIT/SOUTH_BIT of a cell by index (editor history works on indices)
+    getWallBits(index) { return this.poMazeData[index] & WALL_MASK; }
+
+    setWallBits(index, bits) {
+        this.poMazeData[index] = (this.poMazeData[index] & ~WALL_MASK) | (bits & WALL_MASK);
+        this._wallsChanged(index);
+    }
+
+    isInside(pos) {
+        return pos.row >= 0 && pos.row < this.height && pos.col >= 0 && pos.col < this.width;
+    }
+
+    // Depends on walls only, so cached until a wall next to the cell changes
     isJunction(pos) {
-        let exits = 0;
-        if (this.canMove(pos, Direction.North)) exits++;
-        if (this.canMove(pos, Direction.South)) exits++;
-        if (this.canMove(pos, Direction.East)) exits++;
-        if (this.canMove(pos, Direction.West)) exits++;
-        return exits > 2;
+        const idx = this._cellIndex(pos);
+        if (this.junctions[idx] === -1) {
+            let exits = 0;
+            if (this.canMove(pos, Direction.North)) exits++;
+            if (this.canMove(pos, Direction.South)) exits++;
+            if (this.canMove(pos, Direction.East)) exits++;
+            if (this.canMove(pos, Direction.West)) exits++;
+            this.junctions[idx] = exits > 2 ? 1 : 0;
+        }
+        return this.junctions[idx] === 1;
+    }
+
+    // Everything stored about one cell, decoded (the page's cell inspector). walls lists the
+    // blocked sides, the maze border included; parent is a Direction name or null.
+    inspect(pos) {
+        const idx = this._cellIndex(pos);
+        const val = this.poMazeData[idx];
+        const has = (name) => (val & InternalBit[name]) !== 0;
+        const sides = (prefix) => ['N', 'E', 'S', 'W'].filter(d => has(`${prefix}_${d}`));
+        const nameOf = (table, value) => Object.keys(table).find(k => table[k] === value);
+        const parent = this.getDirectionRouteBT(pos);
+        return {
+            raw: val,
+            walls: CARDINALS.filter(d => !this.canMove(pos, d)).map(d => 'NESW'[d]),
+            flags: ['VISITED_BIT', 'PATH_BIT', 'ON_STACK_BIT', 'VISITED_TB', 'VISITED_BT', 'DEAD_JUNCTION_BIT',
+                'PRUNED_BIT', 'OPEN_BIT', 'CURRENT_BIT'].filter(has).map(name => name.replace(/_BIT$/, '')),
+            parent: parent === Direction.Uninitialized ? null : nameOf(Direction, parent),
+            dead: sides('DEAD'),
+            occupied: sides('OCCUPIED'),
+            visitOrder: this.visitOrder[idx],
+            owner: this.thread_ownership[idx],
+            junction: this.isJunction(pos),
+            terrain: nameOf(Terrain, this.terrain[idx])
+        };
     }
 
     // --- Standard BFS/DFS Helpers ---
     setDirectionRouteBT(pos, parent_dir) {
         let val = this.getCell(pos);
         val &= ~InternalBit.PARENT_MASK;
-        val |= InternalBit.VISITED_BIT;
-        if (parent_dir === Direction.North) val |= InternalBit.PARENT_NORTH;
-        else if (parent_dir === Direction.East) val |= InternalBit.PARENT_EAST;
-        else if (parent_dir === Direction.South) val |= InternalBit.PARENT_SOUTH;
-        else if (parent_dir === Direction.West) val |= InternalBit.PARENT_WEST;
+        val |= InternalBit.VISITED_BIT | parentFlag(parent_dir);
         this.setCell(pos, val);
     }
 
@@ -232,8 +834,21 @@ class Maze {
         return Direction.Uninitialized;
     }
 
+    // Solvers mark their route in order, from either end; validatePath checks that order
     markPath(pos) {
         this._setFlag(pos, InternalBit.PATH_BIT);
+        this.pathOrder.push(pos);
+    }
+
+    // Clear the given bits on every cell (e.g. between IDA* iterations)
+    clearFlags(mask) {
+        for (let i = 0; i < this.poMazeData.length; i++) {
+            const before = this.poMazeData[i];
+            if (!(before & mask)) continue;
+            this.poMazeData[i] = before & ~mask;
+            this._count(i, before, before & ~mask);
+            this.markDirty(i);
+        }
     }
 
     markOnStack(pos, on_stack) {
@@ -303,12 +918,28 @@ class Maze {
     }
 
     setThreadOwner(pos, thread_id) {
-        this.thread_ownership.set(this._cellIndex(pos), thread_id);
+        const idx = this._cellIndex(pos);
+        const owner = this.thread_ownership[idx];
+        if (owner === thread_id) return;
+        this.thread_ownership[idx] = thread_id;
+        this.markDirty(idx);
+        if (this.poMazeData[idx] & TEAM_BITS) {
+            if (owner >= 0) this.held[owner] -= 1;
+            if (thread_id >= 0) this.held[thread_id] = (this.held[thread_id] || 0) + 1;
+        }
     }
 
     getThreadOwner(pos) {
-        const val = this.thread_ownership.get(this._cellIndex(pos));
-        return val !== undefined ? val : -1;
+        return this.thread_ownership[this._cellIndex(pos)];
+    }
+
+    // Claim pos for a team and record the step back towards its root, unless the other
+    // team got there first (returns false: the teams have met)
+    claimTeamCell(pos, is_tb, parent_dir) {
+        if (this.isVisitedByTeam(pos, !is_tb)) return false;
+        this.markVisitedTeam(pos, is_tb);
+        this.setDirectionRouteBT(pos, parent_dir);
+        return true;
     }
 
     // --- MT_M1 Helper ---
@@ -338,10 +969,11 @@ class Maze {
 // --- Ported Logic ---
 
 class Branches {
-    constructor(maze, pos, threadID) {
+    // startIndex: slot (0-3, N/E/S/W) the round-robin branch choice starts from
+    constructor(maze, pos, startIndex) {
         this.directions = [Direction.Uninitialized, Direction.Uninitialized, Direction.Uninitialized, Direction.Uninitialized];
         this.count = 0;
-        this.index = threadID & 3;
+        this.index = startIndex & 3;
 
         let idx = 0;
         const dirs = [Direction.North, Direction.East, Direction.South, Direction.West];
@@ -439,25 +1071,60 @@ class Junction {
 // 5. SOLVERS
 // ==========================================
 
+// Every solver keeps its progress on the object and yields only once a step is complete,
+// so a copy (copyRunState) continues the run: a fresh solve_step_by_step() on it goes on
+// with the next step. Step Back resumes from such checkpoints.
+
+// Cells from pos back to root following the PARENT_* routes (stops early if broken)
+function parentRoute(maze, pos, root) {
+    const route = [pos];
+    const limit = maze.width * maze.height;
+    let curr = pos;
+    while (!curr.eq(root) && route.length <= limit) {
+        const parent_dir = maze.getDirectionRouteBT(curr);
+        if (parent_dir === Direction.Uninitialized) break;
+        curr = curr.move(parent_dir);
+        route.push(curr);
+    }
+    return route;
+}
+
+// Marks solver.route one cell per step, from solver.routeIndex on
+function* markRouteSteps(solver) {
+    while (solver.routeIndex < solver.route.length) {
+        solver.maze.markPath(solver.route[solver.routeIndex++]);
+        yield "BACKTRACKING";
+    }
+}
+
 class BFSSolver {
     constructor(maze) {
         this.maze = maze;
+        this.q = null;
+        this.visit_counter = 0;
+        this.found = false;
+        this.route = null; // end back to start, once found
+        this.routeIndex = 0;
     }
+
+    // Cells waiting in the queue (benchmark: peak frontier size)
+    frontierSize() { return this.q ? this.q.length : 0; }
+
     *solve_step_by_step() {
         const start = this.maze.getStart();
         const end = this.maze.getEnd();
-        const q = new Deque([start]);
-        let visit_counter = 0;
-        this.maze.setVisitOrder(start, visit_counter);
-        visit_counter += 1;
-        this.maze.setDirectionRouteBT(start, Direction.Uninitialized);
-        let found = false;
-
-        while (q.length > 0) {
-            yield "SEARCHING";
-            const cur = q.popleft();
+        if (!this.q) {
+            this.q = new Deque([start]);
+            this.maze.setVisitOrder(start, this.visit_counter);
+            this.visit_counter += 1;
+            this.maze.setDirectionRouteBT(start, Direction.Uninitialized);
+        }
+
+        while (!this.found && this.q.length > 0) {
+            const cur = this.q.popleft();
             if (cur.eq(end)) {
-                found = true;
+                this.found = true;
+                yield "SEARCHING";
                 break;
             }
             const dirs = [Direction.South, Direction.West, Direction.East, Direction.North];
@@ -472,23 +1139,17 @@ class BFSSolver {
                         else if (d === Direction.West) parent = Direction.East;
 
                         this.maze.setDirectionRouteBT(nextPos, parent);
-                        this.maze.setVisitOrder(nextPos, visit_counter);
-                        visit_counter += 1;
-                        q.append(nextPos);
+                        this.maze.setVisitOrder(nextPos, this.visit_counter);
+                        this.visit_counter += 1;
+                        this.q.append(nextPos);
                     }
                 }
             }
+            yield "SEARCHING";
         }
-        if (found) {
-            let curr = end;
-            while (true) {
-                this.maze.markPath(curr);
-                yield "BACKTRACKING";
-                if (curr.eq(start)) break;
-                const parent_dir = this.maze.getDirectionRouteBT(curr);
-                if (parent_dir === Direction.Uninitialized) break;
-                curr = curr.move(parent_dir);
-            }
+        if (this.found) {
+            if (!this.route) this.route = parentRoute(this.maze, end, start);
+            yield* markRouteSteps(this);
             yield "FINISHED";
         } else {
             yield "NO_SOLUTION";
@@ -499,24 +1160,35 @@ class BFSSolver {
 class DFSSolver {
     constructor(maze) {
         this.maze = maze;
+        this.stack = null; // [position, parent_dir]
+        this.visit_counter = 0;
+        this.found = false;
+        this.route = null;
+        this.routeIndex = 0;
     }
+
+    frontierSize() { return this.stack ? this.stack.length : 0; }
+
+    // Camera hook (follow mode): the head of the search
+    focus() { return this.stack && this.stack.length > 0 ? this.stack[this.stack.length - 1][0] : null; }
+
     *solve_step_by_step() {
         const start = this.maze.getStart();
         const end = this.maze.getEnd();
-        // Stack holds [position, parent_dir]
-        const stack = [[start, Direction.Uninitialized]];
-        let visit_counter = 0;
-        this.maze.setVisitOrder(start, visit_counter);
-        visit_counter += 1;
-        this.maze.markOnStack(start, true);
-        this.maze.setDirectionRouteBT(start, Direction.Uninitialized);
-        let found = false;
+        if (!this.stack) {
+            this.stack = [[start, Direction.Uninitialized]];
+            this.maze.setVisitOrder(start, this.visit_counter);
+            this.visit_counter += 1;
+            this.maze.markOnStack(start, true);
+            this.maze.setDirectionRouteBT(start, Direction.Uninitialized);
+        }
+        const stack = this.stack;
 
-        while (stack.length > 0) {
+        while (!this.found && stack.length > 0) {
             const [curr, _] = stack[stack.length - 1];
-            yield "SEARCHING";
             if (curr.eq(end)) {
-                found = true;
+                this.found = true;
+                yield "SEARCHING";
                 break;
             }
             let moved = false;
@@ -525,9 +1197,6 @@ class DFSSolver {
                 if (this.maze.canMove(curr, d)) {
                     const nextPos = curr.move(d);
                     if (this.maze.getVisitOrder(nextPos) === -1) {
-                        this.maze.setVisitOrder(nextPos, visit_counter);
-                        visit_counter += 1;
-                        this.maze.markOnStack(nextPos, true);
                         let parent = Direction.Uninitialized;
                         if (d === Direction.North) parent = Direction.South;
                         else if (d === Direction.South) parent = Direction.North;
@@ -535,6 +1204,9 @@ class DFSSolver {
                         else if (d === Direction.West) parent = Direction.East;
 
                         this.maze.setDirectionRouteBT(nextPos, parent);
+                        this.maze.setVisitOrder(nextPos, this.visit_counter);
+                        this.visit_counter += 1;
+                        this.maze.markOnStack(nextPos, true);
                         stack.push([nextPos, parent]);
                         moved = true;
                         break;
@@ -568,18 +1240,12 @@ class DFSSolver {
                     }
                 }
             }
+            yield "SEARCHING";
         }
 
-        if (found) {
-            let curr = end;
-            while (true) {
-                this.maze.markPath(curr);
-                yield "BACKTRACKING";
-                if (curr.eq(start)) break;
-                const parent_dir = this.maze.getDirectionRouteBT(curr);
-                if (parent_dir === Direction.Uninitialized) break;
-                curr = curr.move(parent_dir);
-            }
+        if (this.found) {
+            if (!this.route) this.route = parentRoute(this.maze, end, start);
+            yield* markRouteSteps(this);
             yield "FINISHED";
         } else {
             yield "NO_SOLUTION";
@@ -587,17 +1253,113 @@ class DFSSolver {
     }
 }
 
+// Single-threaded baseline for MT_M2/MT_M1: two BFS frontiers (VISITED_TB from start,
+// VISITED_BT from end) expanded one whole layer at a time, alternating sides. Every
+// contact found while finishing a layer is considered, so the joined path is shortest.
+class BidirectionalBFSSolver {
+    constructor(maze) {
+        this.maze = maze;
+        this.dist = new Int32Array(maze.width * maze.height).fill(-1);
+        this.sides = [];
+        this.visit_counter = 0;
+        this.turn = 0; // side whose layer comes next
+        this.side = null; // side whose layer is being expanded
+        this.layer = 0; // cells of that layer still to expand
+        this.meet = null; // best contact so far: [TB-side cell, BT-side cell, total length]
+        this.route = null;
+        this.routeIndex = 0;
+    }
+
+    // Both queues together
+    frontierSize() { return this.sides.reduce((n, side) => n + side.q.length, 0); }
+
+    *solve_step_by_step() {
+        const start = this.maze.getStart();
+        const end = this.maze.getEnd();
+        if (this.sides.length === 0) {
+            this.sides = [
+                { is_tb: true, q: new Deque([start]) },
+                { is_tb: false, q: new Deque([end]) }
+            ];
+            for (let [pos, is_tb] of [[start, true], [end, false]]) {
+                this.maze.markVisitedTeam(pos, is_tb);
+                this.maze.setDirectionRouteBT(pos, Direction.Uninitialized);
+                this.maze.setVisitOrder(pos, this.visit_counter++);
+                this.dist[this.maze._cellIndex(pos)] = 0;
+            }
+        }
+        const sides = this.sides;
+
+        // Expand exactly the cells that are in the queue when a layer starts (one BFS layer)
+        while (this.layer > 0 || (!this.meet && sides[0].q.length > 0 && sides[1].q.length > 0)) {
+            if (this.layer === 0) {
+                this.side = sides[this.turn];
+                this.turn ^= 1;
+                this.layer = this.side.q.length;
+            }
+            this.layer -= 1;
+
+            const side = this.side;
+            const cur = side.q.popleft();
+            const cur_dist = this.dist[this.maze._cellIndex(cur)];
+
+            for (let d of [Direction.South, Direction.West, Direction.East, Direction.North]) {
+                if (!this.maze.canMove(cur, d)) continue;
+                const next = cur.move(d);
+                const n_idx = this.maze._cellIndex(next);
+
+                if (this.maze.isVisitedByTeam(next, !side.is_tb)) {
+                    const total = cur_dist + 1 + this.dist[n_idx];
+                    if (!this.meet || total < this.meet[2]) {
+                        this.meet = side.is_tb ? [cur, next, total] : [next, cur, total];
+                    }
+                    continue;
+                }
+                if (this.maze.isVisitedByTeam(next, side.is_tb)) continue;
+
+                this.maze.markVisitedTeam(next, side.is_tb);
+                this.maze.setDirectionRouteBT(next, reverseDir(d));
+                this.maze.setVisitOrder(next, this.visit_counter++);
+                this.dist[n_idx] = cur_dist + 1;
+                side.q.append(next);
+            }
+            yield "SEARCHING";
+        }
+
+        if (!this.meet) {
+            yield "NO_SOLUTION";
+            return;
+        }
+
+        // Both halves follow their own parent chains back to their roots; the start half is
+        // marked backwards so the route comes out in order, start to end
+        if (!this.route) {
+            this.route = [...parentRoute(this.maze, this.meet[0], start).reverse(), ...parentRoute(this.maze, this.meet[1], end)];
+        }
+        yield* markRouteSteps(this);
+        yield "FINISHED";
+    }
+}
+
 // --- MULTI-THREADED LOGIC (M2) ---
 
+// Spread a team's members evenly over the four starting directions. With 3 per team
+// this gives TB 0,1,2 and BT 3,0,1, i.e. the original threadID & 3.
+function branchStartIndex(teamBase, local, teamSize) {
+    return (teamBase + Math.floor(local * 4 / teamSize)) & 3;
+}
+
 class DFSThread {
-    constructor(threadID, is_tb, start_pos, maze) {
+    constructor(threadID, is_tb, start_pos, maze, branch_index = threadID & 3) {
         this.id = threadID;
         this.is_tb = is_tb;
         this.stack = [];
         this.maze = maze;
         this.finished = false;
+        this.branch_index = branch_index;
+        this.deadJunctions = 0; // stats
 
-        const branches = new Branches(maze, start_pos, threadID);
+        const branches = new Branches(maze, start_pos, branch_index);
         this.stack.push(new Junction(start_pos, Direction.Uninitialized, branches));
 
         this.state = 0;
@@ -634,6 +1396,7 @@ class DFSThread {
 
                 // Check for TRUE junction
                 if (this.maze.isJunction(junc.at)) {
+                    if (!this.maze._hasFlag(junc.at, InternalBit.DEAD_JUNCTION_BIT)) this.deadJunctions += 1;
                     this.maze.markDeadJunction(junc.at);
                 } else {
                     this.maze.unmarkVisitedTeam(junc.at);
@@ -664,33 +1427,24 @@ class DFSThread {
             const parent_rev = reverseDir(this.corridor_dir);
 
             // === CRITICAL FIX: Check Collision BEFORE Overwriting Ownership ===
-            let collision_found = false;
-            if (this.is_tb) {
-                if (next_p.eq(this.maze.getEnd()) || this.maze.isVisitedByTeam(next_p, false)) {
-                    collision_found = true;
-                }
-            } else {
-                if (this.maze.isVisitedByTeam(next_p, true)) {
-                    collision_found = true;
-                }
-            }
+            // claimTeamCell does the check and the claim together (atomically on a SharedMaze)
+            const collision_found = (this.is_tb && next_p.eq(this.maze.getEnd())) ||
+                !this.maze.claimTeamCell(next_p, this.is_tb, parent_rev);
 
             if (collision_found) {
                 // Do NOT setThreadOwner here. Leave the existing owner (the other team) 
                 // so the solver can find the correct stack.
                 this.target_pos = next_p;
                 // We do add a dummy junction to represent our arrival at the collision
-                this.stack.push(new Junction(next_p, parent_rev, new Branches(this.maze, next_p, this.id)));
+                this.stack.push(new Junction(next_p, parent_rev, new Branches(this.maze, next_p, this.branch_index)));
                 return 'FOUND_TARGET';
             }
 
-            // No collision, safe to claim
-            this.maze.markVisitedTeam(next_p, this.is_tb);
+            // No collision, cell claimed
             this.maze.setThreadOwner(next_p, this.id);
-            this.maze.setDirectionRouteBT(next_p, parent_rev);
             this.target_pos = next_p;
 
-            const branches = new Branches(this.maze, next_p, this.id);
+            const branches = new Branches(this.maze, next_p, this.branch_index);
             branches.remove(parent_rev);
 
             if (branches.size() !== 1) {
@@ -725,183 +1479,252 @@ class DFSThread {
 
         return 'DEAD';
     }
+
+    // Cell the thread is working on: its junction, or where it walks / backtracks
+    head() {
+        if (this.state === 0) return this.stack.length > 0 ? this.stack[this.stack.length - 1].at : null;
+        return this.target_pos;
+    }
 }
 
 class MTSolver {
-    constructor(maze) {
+    // threadsPerTeam: DFS threads on each side; TB ids are 0..n-1, BT ids n..2n-1.
+    // scheduler: decides the order threads step in (see section 13)
+    constructor(maze, threadsPerTeam = 3, scheduler = new RoundRobinScheduler()) {
         this.maze = maze;
+        this.threadsPerTeam = Math.max(1, threadsPerTeam | 0);
+        this.scheduler = scheduler;
         this.threads = [];
+        this.found = false;
+        this.collision_pos = null;
+        this.route = null;
+        this.routeIndex = 0;
+        this.lastStepped = -1; // thread index the scheduler ran last
+        this.followed = -1; // thread focus() reports, kept until it dies
+    }
+
+    // Camera hook (follow mode). Sticks to one thread rather than jumping to whichever ran
+    // last, and moves on to the most recent live one when it dies.
+    focus() {
+        const t = this.threads[this.followed];
+        if (!t || t.finished) this.followed = this.lastStepped;
+        const followed = this.threads[this.followed];
+        return followed ? followed.head() : null;
+    }
+
+    // Sum of the DFS threads' stacks
+    frontierSize() { return this.threads.reduce((n, t) => n + t.stack.length, 0); }
+
+    // Per-thread table for the stats panel. Owned = cells whose owner is the thread and
+    // that its team still holds (backtracking gives corridors up again; see Maze.held).
+    threadStats() {
+        return {
+            columns: ["Thread", "Team", "Stack", "Owned", "Dead junctions", "State"],
+            rows: this.threads.map(t => [
+                t.id, t.is_tb ? "TB" : "BT", t.stack.length, this.maze.held[t.id] || 0, t.deadJunctions,
+                t.finished ? "dead" : ["junction", "corridor", "backtrack"][t.state]
+            ])
+        };
     }
 
     *solve_step_by_step() {
         const start = this.maze.getStart();
         const end = this.maze.getEnd();
+        const perTeam = this.threadsPerTeam;
 
-        this.threads = [];
-        for (let i = 0; i < 3; i++) {
-            this.threads.push(new DFSThread(i, true, start, this.maze));
-        }
-        for (let i = 0; i < 3; i++) {
-            this.threads.push(new DFSThread(i + 3, false, end, this.maze));
-        }
+        if (this.threads.length === 0) {
+            for (let i = 0; i < perTeam; i++) {
+                this.threads.push(new DFSThread(i, true, start, this.maze, branchStartIndex(0, i, perTeam)));
+            }
+            for (let i = 0; i < perTeam; i++) {
+                this.threads.push(new DFSThread(perTeam + i, false, end, this.maze, branchStartIndex(perTeam, i, perTeam)));
+            }
 
-        this.maze.markVisitedTeam(start, true);
-        this.maze.setThreadOwner(start, 0);
+            this.maze.markVisitedTeam(start, true);
+            this.maze.setThreadOwner(start, 0);
 
-        this.maze.markVisitedTeam(end, false);
-        this.maze.setThreadOwner(end, 3);
+            this.maze.markVisitedTeam(end, false);
+            this.maze.setThreadOwner(end, perTeam);
+        }
 
-        let found = false;
-        let collision_pos = null;
+        while (!this.found) {
+            const live = [];
+            this.threads.forEach((t, i) => { if (!t.finished) live.push(i); });
+            if (live.length === 0) break;
 
-        while (!found) {
-            let active_threads = 0;
-            for (let t of this.threads) {
+            for (let i of this.scheduler.round(live)) {
+                const t = this.threads[i];
                 if (t.finished) continue;
 
+                this.lastStepped = i;
                 const res = t.step();
                 if (res === 'DEAD') {
                     t.finished = true;
                 } else if (res === 'FOUND_TARGET') {
-                    found = true;
+                    this.found = true;
                     if (t.stack.length > 0) {
-                        collision_pos = t.target_pos;
+                        this.collision_pos = t.target_pos;
                     }
                     break;
-                } else {
-                    active_threads += 1;
                 }
             }
 
             yield "SEARCHING";
-            if (active_threads === 0 && !found) {
-                break;
-            }
         }
 
-        if (found && collision_pos) {
-            // === PATH RECONSTRUCTION ===
-
-            // --- PART 1: TOP-BOTTOM (Standard Backtracking) ---
-            const path_tb = [];
-            let curr_tb = collision_pos;
-
-            // Safety: Ensure we are on a TB cell or neighbor
-            if (!this.maze.isVisitedByTeam(curr_tb, true)) {
-                for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
-                    const n = curr_tb.move(d);
-                    if (this.maze.isVisitedByTeam(n, true)) {
-                        curr_tb = n;
-                        break;
-                    }
-                }
-            }
-
-            let temp = curr_tb;
-            while (!temp.eq(start)) {
-                path_tb.push(temp);
-                const parent_dir = this.maze.getDirectionRouteBT(temp);
-                if (parent_dir === Direction.Uninitialized) break;
-                temp = temp.move(parent_dir);
-            }
-            path_tb.push(start);
-
-            for (let i = path_tb.length - 1; i >= 0; i--) {
-                this.maze.markPath(path_tb[i]);
-                yield "BACKTRACKING";
+        if (this.found && this.collision_pos) {
+            if (!this.route) {
+                this.route = MTSolver.meetingRoute(this.maze, this.collision_pos, perTeam, (id) => this.threads[id].stack);
             }
+            yield* markRouteSteps(this);
+            yield "FINISHED";
+        } else {
+            yield "NO_SOLUTION";
+        }
+    }
+
+    // === PATH RECONSTRUCTION ===
+    // The route from start through collision_pos to end, in order (the solver marks it).
+    // Also used by WorkerMTSolver. stackOf(id) gives the Junction stack (at, came_from) of
+    // a thread: the live one here, the one its worker reported there.
+    static meetingRoute(maze, collision_pos, perTeam, stackOf) {
+        const start = maze.getStart();
+        const end = maze.getEnd();
+        const route = [];
+
+        // --- PART 1: TOP-BOTTOM (Standard Backtracking) ---
+        const path_tb = [];
+        let curr_tb = collision_pos;
+
+        // Safety: Ensure we are on a TB cell or neighbor
+        if (!maze.isVisitedByTeam(curr_tb, true)) {
+            for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
+                const n = curr_tb.move(d);
+                if (maze.isVisitedByTeam(n, true)) {
+                    curr_tb = n;
+                    break;
+                }
+            }
+        }
+
+        // On a maze with loops a team can overwrite its own routes into a cycle: give up
+        // after as many cells as the maze has (validatePath then reports the broken route)
+        const limit = maze.width * maze.height;
+        let temp = curr_tb;
+        while (!temp.eq(start)) {
+            path_tb.push(temp);
+            const parent_dir = maze.getDirectionRouteBT(temp);
+            if (parent_dir === Direction.Uninitialized || path_tb.length > limit) break;
+            temp = temp.move(parent_dir);
+        }
+        path_tb.push(start);
 
-            // --- PART 2: BOTTOM-TOP (Segment-Based Reconstruction) ---
+        route.push(...path_tb.reverse());
 
-            // 1. Identify the BT Thread
-            let bt_thread = null;
+        // --- PART 2: BOTTOM-TOP (Segment-Based Reconstruction) ---
 
-            // Try to find owner at collision or neighbors
-            const check_list = [collision_pos];
-            for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
-                check_list.push(collision_pos.move(d));
+        // 1. Identify the BT Thread
+        let bt_id = -1;
+
+        // Try to find owner at collision or neighbors
+        const check_list = [collision_pos];
+        for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
+            check_list.push(collision_pos.move(d));
+        }
+
+        for (let pos of check_list) {
+            if (maze.isVisitedByTeam(pos, false)) {
+                const tid = maze.getThreadOwner(pos);
+                if (tid >= perTeam) {
+                    bt_id = tid;
+                    break;
+                }
             }
+        }
 
-            for (let pos of check_list) {
-                if (this.maze.isVisitedByTeam(pos, false)) {
-                    const tid = this.maze.getThreadOwner(pos);
-                    if (tid >= 3) {
-                        bt_thread = this.threads[tid];
+        const bt_stack = bt_id >= 0 ? stackOf(bt_id) : null;
+        if (bt_stack && bt_stack.length > 0) {
+            // 2. Sync with Stack
+            // We expect the collision point to be the tip of the stack (or very close)
+            // because the thread pushes a dummy junction upon collision.
+            let stack_idx = bt_stack.length - 1;
+
+            // Verify and adjust if needed
+            if (!bt_stack[stack_idx].at.eq(collision_pos)) {
+                // Search for the collision point in the stack
+                for (let i = bt_stack.length - 1; i >= 0; i--) {
+                    if (bt_stack[i].at.eq(collision_pos)) {
+                        stack_idx = i;
                         break;
                     }
                 }
             }
 
-            if (bt_thread && bt_thread.stack.length > 0) {
-                // 2. Sync with Stack
-                // We expect the collision point to be the tip of the stack (or very close)
-                // because the thread pushes a dummy junction upon collision.
-                let stack_idx = bt_thread.stack.length - 1;
+            let curr = bt_stack[stack_idx].at;
 
-                // Verify and adjust if needed
-                if (!bt_thread.stack[stack_idx].at.eq(collision_pos)) {
-                    // Search for the collision point in the stack
-                    for (let i = bt_thread.stack.length - 1; i >= 0; i--) {
-                        if (bt_thread.stack[i].at.eq(collision_pos)) {
-                            stack_idx = i;
-                            break;
-                        }
-                    }
-                }
+            // 3. Walk Segment by Segment
+            // We iterate backwards from the Tip (Collision) down to the Root (End)
+            // i corresponds to the 'Current Junction'. i-1 is the 'Goal Junction'.
 
-                let curr = bt_thread.stack[stack_idx].at;
+            while (stack_idx > 0) {
+                const node_curr = bt_stack[stack_idx];
+                const node_goal = bt_stack[stack_idx - 1];
 
-                // 3. Walk Segment by Segment
-                // We iterate backwards from the Tip (Collision) down to the Root (End)
-                // i corresponds to the 'Current Junction'. i-1 is the 'Goal Junction'.
+                // A. Current node
+                route.push(curr);
 
-                while (stack_idx > 0) {
-                    const node_curr = bt_thread.stack[stack_idx];
-                    const node_goal = bt_thread.stack[stack_idx - 1];
+                // B. Take the first step (The Jump)
+                // came_from points BACK towards the parent (node_goal)
+                let jump_dir = node_curr.came_from;
+                curr = curr.move(jump_dir);
 
-                    // A. Mark current node
-                    this.maze.markPath(curr);
-                    yield "BACKTRACKING";
+                // C. Walk the Corridor
+                // Keep moving until we hit the goal node
+                while (!curr.eq(node_goal.at)) {
+                    route.push(curr);
 
-                    // B. Take the first step (The Jump)
-                    // came_from points BACK towards the parent (node_goal)
-                    let jump_dir = node_curr.came_from;
-                    curr = curr.move(jump_dir);
+                    let found_next = false;
 
-                    // C. Walk the Corridor
-                    // Keep moving until we hit the goal node
-                    while (!curr.eq(node_goal.at)) {
-                        this.maze.markPath(curr);
-                        yield "BACKTRACKING";
+                    // Note: We need to track where we came from to avoid bouncing back.
+                    // Since 'jump_dir' brought us here, reverseDir(jump_dir) is "back".
+                    // We update 'jump_dir' as we move.
 
-                        let found_next = false;
+                    const back_dir = reverseDir(jump_dir);
 
-                        // Note: We need to track where we came from to avoid bouncing back.
-                        // Since 'jump_dir' brought us here, reverseDir(jump_dir) is "back".
-                        // We update 'jump_dir' as we move.
+                    // Priority Check: Are we next to the goal?
+                    for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
+                        if (curr.move(d).eq(node_goal.at)) {
+                            jump_dir = d;
+                            curr = curr.move(d);
+                            found_next = true;
+                            break;
+                        }
+                    }
 
-                        const back_dir = reverseDir(jump_dir);
+                    if (found_next) continue;
 
-                        // Priority Check: Are we next to the goal?
-                        for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
-                            if (curr.move(d).eq(node_goal.at)) {
-                                jump_dir = d;
-                                curr = curr.move(d);
-                                found_next = true;
-                                break;
-                            }
-                        }
+                    // Regular Step
+                    for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
+                        if (d === back_dir) continue;
+                        if (!maze.canMove(curr, d)) continue;
 
-                        if (found_next) continue;
+                        const n = curr.move(d);
+                        // Strict Owner Check
+                        if (maze.getThreadOwner(n) === bt_id && maze.isVisitedByTeam(n, false)) {
+                            jump_dir = d;
+                            curr = n;
+                            found_next = true;
+                            break;
+                        }
+                    }
 
-                        // Regular Step
+                    if (!found_next) {
+                        // Fallback for rare race conditions: Allow any BT visited cell
                         for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
                             if (d === back_dir) continue;
-                            if (!this.maze.canMove(curr, d)) continue;
-
+                            if (!maze.canMove(curr, d)) continue;
                             const n = curr.move(d);
-                            // Strict Owner Check
-                            if (this.maze.getThreadOwner(n) === bt_thread.id && this.maze.isVisitedByTeam(n, false)) {
+                            if (maze.isVisitedByTeam(n, false)) {
                                 jump_dir = d;
                                 curr = n;
                                 found_next = true;
@@ -910,42 +1733,24 @@ class MTSolver {
                         }
 
                         if (!found_next) {
-                            // Fallback for rare race conditions: Allow any BT visited cell
-                            for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
-                                if (d === back_dir) continue;
-                                if (!this.maze.canMove(curr, d)) continue;
-                                const n = curr.move(d);
-                                if (this.maze.isVisitedByTeam(n, false)) {
-                                    jump_dir = d;
-                                    curr = n;
-                                    found_next = true;
-                                    break;
-                                }
-                            }
-
-                            if (!found_next) {
-                                console.log("Error: Lost in corridor reconstruction.");
-                                break;
-                            }
+                            console.log("Error: Lost in corridor reconstruction.");
+                            break;
                         }
                     }
-
-                    // Loop finished (curr == node_goal.at). 
-                    // Prepare for next segment.
-                    stack_idx -= 1;
                 }
 
-                // Mark the final node (The Maze End)
-                this.maze.markPath(end);
-
-            } else {
-                console.log("Error: Could not find valid BT Thread stack.");
+                // Loop finished (curr == node_goal.at). 
+                // Prepare for next segment.
+                stack_idx -= 1;
             }
 
-            yield "FINISHED";
+            // The final node (The Maze End)
+            route.push(end);
+
         } else {
-            yield "NO_SOLUTION";
+            console.log("Error: Could not find valid BT Thread stack.");
         }
+        return route;
     }
 }
 
@@ -966,6 +1771,12 @@ class PruneThread {
         this.iter_row = row_start;
         this.iter_col = 0;
         this.finished = false;
+
+        // stats
+        this.pruned = 0;
+        this.sent = [0, 0]; // [Top, Bottom], as out_qs
+        this.received = 0;
+        this.last = null; // most recently pruned cell
     }
 
     step() {
@@ -1010,6 +1821,7 @@ class PruneThread {
             while (this.in_q.length > 0) {
                 const p_pos = this.in_q.popleft();
                 this.stack.push(p_pos);
+                this.received += 1;
             }
 
             if (this.stack.length === 0) {
@@ -1029,6 +1841,8 @@ class PruneThread {
 
                 this.maze.markPruned(pos);
                 this.maze.setThreadOwner(pos, this.id); // For coloring
+                this.pruned += 1;
+                this.last = pos;
 
                 // Get moves ignoring currently pruned cells
                 const moves = this.maze.getAvailableMovesNoPruned(pos);
@@ -1049,10 +1863,16 @@ class PruneThread {
                         // Check boundary
                         if (neighbor.row < this.row_start) {
                             // Send to Top Neighbor
-                            if (this.out_qs[0] !== null) this.out_qs[0].append(neighbor);
+                            if (this.out_qs[0] !== null) {
+                                this.out_qs[0].append(neighbor);
+                                this.sent[0] += 1;
+                            }
                         } else if (neighbor.row >= this.row_end) {
                             // Send to Bottom Neighbor
-                            if (this.out_qs[1] !== null) this.out_qs[1].append(neighbor);
+                            if (this.out_qs[1] !== null) {
+                                this.out_qs[1].append(neighbor);
+                                this.sent[1] += 1;
+                            }
                         } else {
                             this.stack.push(neighbor);
                         }
@@ -1130,6 +1950,7 @@ class BFSThreadBT {
         this.maze.setDirectionRouteBT(maze.getEnd(), Direction.Uninitialized);
         this.finished = false;
         this.found = false;
+        this.last = maze.getEnd(); // most recently expanded cell
     }
 
     step(first_exit_ref) {
@@ -1145,6 +1966,7 @@ class BFSThreadBT {
         while (this.q.length > 0 && steps < 2) {
             steps += 1;
             const cur = this.q.popleft();
+            this.last = cur;
 
             if (this.maze.isPruned(cur)) continue;
 
@@ -1179,317 +2001,1866 @@ class BFSThreadBT {
     }
 }
 
+// Rounds a followed thread may stand still before MT_M1_Solver.focus() moves on
+const M1_FOCUS_PATIENCE = 8;
+
 class MT_M1_Solver {
-    constructor(maze) {
+    // pruners: number of horizontal bands, one PruneThread each (capped at the maze height).
+    // scheduler: decides the order threads step in (see section 13); thread indices are
+    // the pruners, then the walker, then the BFS
+    constructor(maze, pruners = 4, scheduler = new RoundRobinScheduler()) {
         this.maze = maze;
+        this.scheduler = scheduler;
         this.pruners = [];
         this.walker = null;
         this.bfs = null;
         this.solve_list = [];
         this.first_exit = { val: false }; // Reference wrapper
+        this.route = null;
+        this.routeIndex = 0;
 
         // Setup Pruners
-        const N = 4;
-        const chunk = Math.floor(maze.height / N);
-        const remainder = maze.height % N;
+        const bands = MT_M1_Solver.bands(maze.height, pruners);
+        const N = bands.length;
 
         const queues = [];
         for (let i = 0; i < N; i++) queues.push(new Deque()); // In-queues for each thread
 
         for (let i = 0; i < N; i++) {
-            const row_start = i * chunk + Math.min(i, remainder);
-            const row_end = (i + 1) * chunk + Math.min(i + 1, remainder);
-
             // Neighbors queues: [Top, Bottom]
             const out_qs = [null, null];
             if (i > 0) out_qs[0] = queues[i - 1];
             if (i < N - 1) out_qs[1] = queues[i + 1];
 
-            this.pruners.push(new PruneThread(i, maze, row_start, row_end, queues[i], out_qs));
+            this.pruners.push(new PruneThread(i, maze, bands[i].row_start, bands[i].row_end, queues[i], out_qs));
         }
 
         this.walker = new WalkThreadTB(maze, this.solve_list);
         this.bfs = new BFSThreadBT(maze);
+
+        // focus() bookkeeping: scheduler rounds so far, the round each thread last moved in
+        this.rounds = 0;
+        this.movedAt = new Array(N + 2).fill(-1);
+        this.lastMoved = -1;
+        this.followed = -1;
     }
 
-    *solve_step_by_step() {
+    // Cell thread i (scheduler index) last moved to: pruned, walked or expanded
+    head(i) {
+        if (i < this.pruners.length) return this.pruners[i].last;
+        return i === this.pruners.length ? this.walker.curr : this.bfs.last;
+    }
 
-        // Main Loop: Runs as long as solution isn't found and searchers are active
-        while (!this.first_exit.val && (!this.walker.finished || !this.bfs.finished)) {
+    // Camera hook (follow mode): the thread that moved last, kept while it keeps moving
+    // (the walker stands still at junctions until the pruners have decided them)
+    focus() {
+        const idle = this.followed === -1 || this.movedAt[this.followed] < this.rounds - M1_FOCUS_PATIENCE;
+        if (idle && this.lastMoved !== -1) this.followed = this.lastMoved;
+        return this.followed === -1 ? this.walker.curr : this.head(this.followed);
+    }
 
-            // 1. Step Pruners (Concurrent)
-            for (let p of this.pruners) {
-                p.step();
-            }
+    // Pruner stacks and pending boundary messages, plus the BFS queue
+    frontierSize() {
+        return this.pruners.reduce((n, p) => n + p.stack.length + p.in_q.length, 0) + this.bfs.q.length;
+    }
+
+    // Per-thread table for the stats panel: the pruners' bands and out_qs traffic, then
+    // the walker's moves and the BFS queue
+    threadStats() {
+        const rows = this.pruners.map(p => [
+            `Pruner ${p.id}`, `${p.row_start}–${p.row_end - 1}`, p.phase.toLowerCase(), p.stack.length,
+            p.pruned, p.sent[0], p.sent[1], p.received
+        ]);
+        rows.push(["Walker", "", this.walker.finished ? "done" : "walking", this.solve_list.length, "", "", "", ""]);
+        rows.push(["BFS", "", this.bfs.finished ? "done" : "searching", this.bfs.q.length, "", "", "", ""]);
+        return {
+            columns: ["Thread", "Rows", "Phase", "Stack / moves / queue", "Pruned", "Sent ↑", "Sent ↓", "Received"],
+            rows
+        };
+    }
 
-            // 2. Step Walker (Concurrent)
-            this.walker.step(this.first_exit);
+    *solve_step_by_step() {
+        // Pruners (Concurrent), then Walker, then BFS
+        const threads = [...this.pruners, this.walker, this.bfs];
+        const steps = [
+            ...this.pruners.map((p) => () => p.step()),
+            () => this.walker.step(this.first_exit),
+            () => this.bfs.step(this.first_exit)
+        ];
+        const overlapped = () => this.walker.finished && this.walker.overlap;
 
-            // 3. Step BFS (Concurrent)
-            this.bfs.step(this.first_exit);
+        // Main Loop: Runs as long as solution isn't found and searchers are active
+        while (!this.first_exit.val && !overlapped() && (!this.walker.finished || !this.bfs.finished)) {
+            const live = [];
+            threads.forEach((t, i) => { if (!t.finished) live.push(i); });
+
+            for (let i of this.scheduler.round(live)) {
+                const before = this.head(i);
+                steps[i]();
+                if (this.head(i) !== before) {
+                    this.movedAt[i] = this.rounds;
+                    this.lastMoved = i;
+                }
+            }
+            this.rounds += 1;
 
-            if (this.walker.finished && this.walker.overlap) {
+            if (overlapped()) {
                 break;
             }
 
             yield "SEARCHING";
         }
 
-        // Reconstruction
+        if (!this.route) this.route = MT_M1_Solver.walkRoute(this.maze, this.solve_list);
+        yield* markRouteSteps(this);
+        yield "FINISHED";
+    }
+
+    // Split the rows into `pruners` near-equal horizontal bands (at most one per row)
+    static bands(height, pruners) {
+        const N = Math.max(1, Math.min(pruners | 0, height));
+        const chunk = Math.floor(height / N);
+        const remainder = height % N;
+        const bands = [];
+        for (let i = 0; i < N; i++) {
+            bands.push({
+                row_start: i * chunk + Math.min(i, remainder),
+                row_end: (i + 1) * chunk + Math.min(i + 1, remainder)
+            });
+        }
+        return bands;
+    }
+
+    // Reconstruction: the walker's moves (solve_list) from start, then BT hints to the end
+    static walkRoute(maze, solve_list) {
         // 1. TB Path part
-        let curr = this.maze.getStart();
-        // Draw TB part
-        for (let d of this.solve_list) {
-            this.maze.markPath(curr);
+        const route = [];
+        let curr = maze.getStart();
+        for (let d of solve_list) {
+            route.push(curr);
             curr = curr.move(d);
-            yield "BACKTRACKING";
         }
 
-        // Draw remaining from Overlap to End using BT hints
-        while (!curr.eq(this.maze.getEnd())) {
-            this.maze.markPath(curr);
-            const d = this.maze.getDirectionRouteBT(curr);
+        // Remaining from Overlap to End using BT hints
+        while (!curr.eq(maze.getEnd())) {
+            route.push(curr);
+            const d = maze.getDirectionRouteBT(curr);
             if (d === Direction.Uninitialized) break;
             curr = curr.move(d);
-            yield "BACKTRACKING";
         }
 
-        this.maze.markPath(this.maze.getEnd());
-        yield "FINISHED";
+        route.push(maze.getEnd());
+        return route;
     }
 }
 
 // ==========================================
-// MAIN UI INTERACTION
+// 7. MAZE GENERATORS
 // ==========================================
 
-const canvas = document.getElementById('mazeCanvas');
-const ctx = canvas.getContext('2d');
-const slider = document.getElementById('speedSlider');
-
-// Globals
-let maze = new Maze();
-let appState = {
-    algorithm: 'BFS',
-    generator: null,
-    state: "RUNNING",
-    currentMazeKey: '50x50',
-    wall_thickness: 2,
-    inset: 2,
-    frameCounter: 0
-};
+// All generators start from Maze.Init() (every wall standing) and carve passages.
+// VISITED_BIT marks cells already part of the maze, ON_STACK_BIT the cells being worked on.
+// Maze.Reset() clears both once generation is done, leaving only EAST_BIT/SOUTH_BIT.
 
-// Colors mapping
-const COLOR_BG = "#FFFFFF";
-const COLOR_WALL = "#000000";
-const COLOR_DEAD = "#B7B7A4";
-const COLOR_VISITED = "#DCDCDC";
-const COLOR_BFS_VISITED = "#FFD778";
-const COLOR_PATH = "#006400";
-const COLOR_DFS_PATH = "#6495ED";
-const COLOR_JUNCTION = "#FFB900";
-
-const THREAD_COLORS = {
-    0: "#FF7878", 1: "#DC3C3C", 2: "#B40000",
-    3: "#78C8FF", 4: "#3C8CDC", 5: "#0000B4"
-};
+const CARDINALS = [Direction.North, Direction.East, Direction.South, Direction.West];
 
-const PRUNE_COLORS = {
-    0: "#FFC0C6", 1: "#F0A490", 2: "#93EE93", 3: "#ADD8E6"
-};
+class MazeGenerator {
+    constructor(maze, width, height, seed) {
+        this.maze = maze;
+        this.width = width;
+        this.height = height;
+        this.rng = new SeededRandom(seed);
+    }
 
-const MAZE_FILES = {
-    "20x20": "Maze_Data/Maze20x20.data",
-    "50x50": "Maze_Data/Maze50x50.data",
-    "100x100": "Maze_Data/Maze100x100.data",
-    "200x200": "Maze_Data/Maze200x200.data"
-};
+    _neighbours(pos) {
+        const out = [];
+        for (let d of CARDINALS) {
+            const n = pos.move(d);
+            if (this.maze.isInside(n)) out.push([n, d]);
+        }
+        return out;
+    }
+
+    _isCarved(pos) { return this.maze._hasFlag(pos, InternalBit.VISITED_BIT); }
+    _markCarved(pos) { this.maze._setFlag(pos, InternalBit.VISITED_BIT); }
+
+    _randomCell() {
+        return new Position(this.rng.nextInt(this.height), this.rng.nextInt(this.width));
+    }
+
+    *generate_step_by_step() {
+        this.maze.Init(this.width, this.height);
+        yield* this.carve();
+        // Every generator produces a perfect maze, so any start/end pair is connected
+        this.maze.solvable = 1;
+        yield "GENERATED";
+    }
+}
+
+class RecursiveBacktrackerGenerator extends MazeGenerator {
+    *carve() {
+        const start = this._randomCell();
+        this._markCarved(start);
+        this.maze.markOnStack(start, true);
+        const stack = [start];
 
-async function initSolver() {
-    maze.Reset();
-    let solver;
-    if (appState.algorithm === 'BFS') solver = new BFSSolver(maze);
-    else if (appState.algorithm === 'DFS') solver = new DFSSolver(maze);
-    else if (appState.algorithm === 'MT_M2') solver = new MTSolver(maze);
-    else if (appState.algorithm === 'MT_M1') solver = new MT_M1_Solver(maze);
-
-    appState.generator = solver.solve_step_by_step();
-    appState.state = "RUNNING";
-    document.getElementById('status').textContent = `Running ${appState.algorithm}...`;
+        while (stack.length > 0) {
+            yield "GENERATING";
+            const cur = stack[stack.length - 1];
+            const options = this._neighbours(cur).filter(([n]) => !this._isCarved(n));
+
+            if (options.length > 0) {
+                const [next, d] = this.rng.pick(options);
+                this.maze.removeWall(cur, d);
+                this._markCarved(next);
+                this.maze.markOnStack(next, true);
+                stack.push(next);
+            } else {
+                this.maze.markOnStack(stack.pop(), false);
+            }
+        }
+    }
 }
 
-async function loadMaze(key) {
-    // 1. Update Button Visuals
-    document.querySelectorAll('#size-btns button').forEach(b => b.classList.remove('active'));
-    // (Optional: You can add logic here to add .active to the specific button clicked)
+class KruskalGenerator extends MazeGenerator {
+    *carve() {
+        const w = this.width;
+        const parent = new Int32Array(w * this.height);
+        for (let i = 0; i < parent.length; i++) parent[i] = i;
+
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        // Every interior wall as [cell, direction] (only East/South, each wall once)
+        const edges = [];
+        for (let r = 0; r < this.height; r++) {
+            for (let c = 0; c < w; c++) {
+                if (c < w - 1) edges.push([new Position(r, c), Direction.East]);
+                if (r < this.height - 1) edges.push([new Position(r, c), Direction.South]);
+            }
+        }
+        this.rng.shuffle(edges);
+
+        for (let [pos, d] of edges) {
+            const next = pos.move(d);
+            const a = find(pos.row * w + pos.col);
+            const b = find(next.row * w + next.col);
+            if (a === b) continue;
+
+            parent[a] = b;
+            this.maze.removeWall(pos, d);
+            this._markCarved(pos);
+            this._markCarved(next);
+            yield "GENERATING";
+        }
+    }
+}
 
-    // 2. Update the Text Label
-    const sizeEl = document.getElementById('size-label');
-    if (sizeEl) {
-        sizeEl.textContent = "Size: " + key;
+class PrimGenerator extends MazeGenerator {
+    *carve() {
+        const frontier = [];
+        const addFrontier = (pos) => {
+            for (let [n] of this._neighbours(pos)) {
+                if (!this._isCarved(n) && !this.maze._hasFlag(n, InternalBit.ON_STACK_BIT)) {
+                    this.maze.markOnStack(n, true);
+                    frontier.push(n);
+                }
+            }
+        };
+
+        const start = this._randomCell();
+        this._markCarved(start);
+        addFrontier(start);
+
+        while (frontier.length > 0) {
+            yield "GENERATING";
+            // Swap-remove a random frontier cell
+            const i = this.rng.nextInt(frontier.length);
+            const cur = frontier[i];
+            frontier[i] = frontier[frontier.length - 1];
+            frontier.pop();
+
+            const carved = this._neighbours(cur).filter(([n]) => this._isCarved(n));
+            const [, d] = this.rng.pick(carved);
+            this.maze.removeWall(cur, d);
+            this.maze.markOnStack(cur, false);
+            this._markCarved(cur);
+            addFrontier(cur);
+        }
     }
+}
 
-    // 3. Load Data
-    appState.currentMazeKey = key;
-    try {
-        await maze.Load(MAZE_FILES[key]);
+class WilsonGenerator extends MazeGenerator {
+    *carve() {
+        const w = this.width;
+        // Last direction taken out of each cell during the current walk (loop-erased implicitly)
+        const walkDir = new Int8Array(w * this.height).fill(Direction.Uninitialized);
 
-        // Visual Settings based on size
-        if (maze.width >= 200) { appState.wall_thickness = 1; appState.inset = 0; }
-        else if (maze.width >= 100) { appState.wall_thickness = 1; appState.inset = 1; }
-        else { appState.wall_thickness = 2; appState.inset = 2; }
+        const order = [];
+        for (let r = 0; r < this.height; r++) {
+            for (let c = 0; c < w; c++) order.push(new Position(r, c));
+        }
+        this.rng.shuffle(order);
+
+        this._markCarved(order[0]);
+
+        for (let start of order) {
+            if (this._isCarved(start)) continue;
+
+            // 1. Random walk until we hit the maze
+            const walked = [];
+            let cur = start;
+            while (!this._isCarved(cur)) {
+                const [next, d] = this.rng.pick(this._neighbours(cur));
+                walkDir[cur.row * w + cur.col] = d;
+                this.maze.markOnStack(cur, true);
+                walked.push(cur);
+                cur = next;
+                yield "GENERATING";
+            }
 
-        initSolver();
-    } catch (e) {
-        console.error(e);
-        alert("Failed to load maze data. Check console.");
+            for (let p of walked) this.maze.markOnStack(p, false);
+
+            // 2. Carve the loop-erased path into the maze
+            cur = start;
+            while (!this._isCarved(cur)) {
+                const d = walkDir[cur.row * w + cur.col];
+                this.maze.removeWall(cur, d);
+                this._markCarved(cur);
+                cur = cur.move(d);
+                yield "GENERATING";
+            }
+        }
     }
 }
 
-function setAlgo(name) {
-    document.querySelectorAll('#algo-btns button').forEach(b => b.classList.remove('active'));
-    appState.algorithm = name;
-    initSolver();
+class EllerGenerator extends MazeGenerator {
+    *carve() {
+        const w = this.width;
+        let sets = new Int32Array(w); // 0 = no set yet
+        let nextSet = 1;
+
+        for (let r = 0; r < this.height; r++) {
+            const lastRow = r === this.height - 1;
+
+            for (let c = 0; c < w; c++) {
+                if (sets[c] === 0) sets[c] = nextSet++;
+                this._markCarved(new Position(r, c));
+            }
+
+            // 1. Randomly join adjacent cells of different sets (last row joins all of them)
+            for (let c = 0; c < w - 1; c++) {
+                if (sets[c] === sets[c + 1]) continue;
+                if (!lastRow && this.rng.next() < 0.5) continue;
+
+                const from = sets[c + 1];
+                for (let k = 0; k < w; k++) {
+                    if (sets[k] === from) sets[k] = sets[c];
+                }
+                this.maze.removeWall(new Position(r, c), Direction.East);
+                yield "GENERATING";
+            }
+
+            if (lastRow) break;
+
+            // 2. Every set carves down at least once
+            const members = new Map();
+            for (let c = 0; c < w; c++) {
+                if (!members.has(sets[c])) members.set(sets[c], []);
+                members.get(sets[c]).push(c);
+            }
+
+            const below = new Int32Array(w);
+            for (let [id, cols] of members) {
+                this.rng.shuffle(cols);
+                for (let i = 0; i < cols.length; i++) {
+                    if (i > 0 && this.rng.next() < 0.5) continue;
+                    this.maze.removeWall(new Position(r, cols[i]), Direction.South);
+                    below[cols[i]] = id;
+                    yield "GENERATING";
+                }
+            }
+            sets = below;
+        }
+    }
 }
 
-function restart() {
-    initSolver();
+class BinaryTreeGenerator extends MazeGenerator {
+    *carve() {
+        for (let r = 0; r < this.height; r++) {
+            for (let c = 0; c < this.width; c++) {
+                const pos = new Position(r, c);
+                const options = [];
+                if (r > 0) options.push(Direction.North);
+                if (c > 0) options.push(Direction.West);
+
+                if (options.length > 0) this.maze.removeWall(pos, this.rng.pick(options));
+                this._markCarved(pos);
+                yield "GENERATING";
+            }
+        }
+    }
 }
 
-// Draw Function
-function draw() {
-    ctx.fillStyle = COLOR_BG;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+const GENERATORS = {
+    "Backtracker": RecursiveBacktrackerGenerator,
+    "Kruskal": KruskalGenerator,
+    "Prim": PrimGenerator,
+    "Wilson": WilsonGenerator,
+    "Eller": EllerGenerator,
+    "BinaryTree": BinaryTreeGenerator
+};
 
-    if (maze.width === 0) return;
+// ==========================================
+// 8. TEXT & IMAGE FORMATS
+// ==========================================
 
-    const stepX = canvas.width / maze.width;
-    const stepY = canvas.height / maze.height;
-    const inset = appState.inset;
-    const wt = appState.wall_thickness;
+// ASCII layout (any cell width; the '+' positions of the first line define the columns):
+//
+//   +---+---+
+//   | S     |      S / E = start / end, '.' = solution path
+//   +   +---+
+//   | .   E |
+//   +---+---+
+//
+// Importers parse into temporaries and throw MazeLoadError, like Maze.LoadFromBuffer.
+// Start/end markers found in the input replace the defaults one at a time (Maze.placeEnds);
+// they are also returned (or null), with the names of any that could not be placed.
+
+function mazeToAscii(maze, { includePath = false, markEnds = true } = {}) {
+    const start = maze.getStart();
+    const end = maze.getEnd();
+    const lines = ["+" + "---+".repeat(maze.width)];
 
     for (let r = 0; r < maze.height; r++) {
-        const y = Math.floor(r * stepY);
-        const h = Math.floor((r + 1) * stepY) - y;
-
+        let cells = "|";
+        let walls = "+";
         for (let c = 0; c < maze.width; c++) {
-            const x = Math.floor(c * stepX);
-            const w = Math.floor((c + 1) * stepX) - x;
+            const pos = new Position(r, c);
+            const val = maze.getCell(pos);
+
+            let mark = " ";
+            if (markEnds && pos.eq(start)) mark = "S";
+            else if (markEnds && pos.eq(end)) mark = "E";
+            else if (includePath && (val & InternalBit.PATH_BIT)) mark = ".";
+
+            cells += " " + mark + " " + ((val & InternalBit.EAST_BIT) ? "|" : " ");
+            walls += ((val & InternalBit.SOUTH_BIT) ? "---" : "   ") + "+";
+        }
+        lines.push(cells, walls);
+    }
+    return lines.join("\n") + "\n";
+}
+
+function mazeFromAscii(maze, text) {
+    const lines = text.split(/\r?\n/).map(l => l.replace(/\s+$/, ""));
+    while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+
+    if (lines.length < 3 || lines[0][0] !== "+") {
+        throw new MazeLoadError("ASCII: expected a '+---+' border on the first line");
+    }
+    if (lines.length % 2 === 0) {
+        throw new MazeLoadError(`ASCII: expected an odd number of lines, got ${lines.length}`);
+    }
+
+    const posts = [];
+    for (let i = 0; i < lines[0].length; i++) {
+        if (lines[0][i] === "+") posts.push(i);
+    }
+
+    const width = posts.length - 1;
+    const height = (lines.length - 1) / 2;
+    if (width < 1) throw new MazeLoadError("ASCII: the first line has no cells");
+    if (width > MAX_MAZE_DIM || height > MAX_MAZE_DIM) {
+        throw new MazeLoadError(`Dimensions too large: ${width}x${height} (max ${MAX_MAZE_DIM} per side)`);
+    }
+
+    const data = new Int32Array(width * height);
+    let start = null;
+    let end = null;
+
+    for (let r = 0; r < height; r++) {
+        const cells = lines[2 * r + 1];
+        const walls = lines[2 * r + 2];
+        if (cells[0] !== "|") {
+            throw new MazeLoadError(`ASCII: line ${2 * r + 2} should start with '|'`);
+        }
+
+        for (let c = 0; c < width; c++) {
+            let val = 0;
+            if ((cells[posts[c + 1]] || " ") === "|") val |= InternalBit.EAST_BIT;
+            if (walls.substring(posts[c] + 1, posts[c + 1]).includes("-")) val |= InternalBit.SOUTH_BIT;
+            data[r * width + c] = val;
+
+            const inside = cells.substring(posts[c] + 1, posts[c + 1]);
+            if (inside.includes("S")) start = new Position(r, c);
+            if (inside.includes("E")) end = new Position(r, c);
+        }
+    }
+
+    maze._assign(width, height, 0, data);
+    const rejected = maze.placeEnds(start, end);
+    maze.computeSolvable();
+    return { start, end, rejected };
+}
+
+// Image layout: a (2W+1)x(2H+1) grid of square blocks, `scale` pixels each. Odd/odd blocks
+// are cells, the blocks between them are walls (dark) or passages. Marks use light colours
+// so the importer never mistakes them for walls.
+const IMAGE_COLORS = {
+    wall: [0, 0, 0],
+    floor: [255, 255, 255],
+    path: [144, 238, 144],
+    start: [255, 160, 160],
+    end: [160, 160, 255]
+};
+
+function _luminance(data, i) {
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+// Returns {width, height, data} with RGBA bytes, ready for ImageData
+function mazeToPixels(maze, { scale = 4, includePath = false, markEnds = true } = {}) {
+    const gw = 2 * maze.width + 1;
+    const gh = 2 * maze.height + 1;
+    const width = gw * scale;
+    const height = gh * scale;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const start = maze.getStart();
+    const end = maze.getEnd();
+
+    const fillBlock = (gx, gy, rgb) => {
+        for (let y = gy * scale; y < (gy + 1) * scale; y++) {
+            for (let x = gx * scale; x < (gx + 1) * scale; x++) {
+                const i = (y * width + x) * 4;
+                data[i] = rgb[0]; data[i + 1] = rgb[1]; data[i + 2] = rgb[2]; data[i + 3] = 255;
+            }
+        }
+    };
+
+    for (let gy = 0; gy < gh; gy++) {
+        for (let gx = 0; gx < gw; gx++) fillBlock(gx, gy, IMAGE_COLORS.wall);
+    }
 
+    for (let r = 0; r < maze.height; r++) {
+        for (let c = 0; c < maze.width; c++) {
             const pos = new Position(r, c);
             const val = maze.getCell(pos);
-            if (val === 0) continue;
+            const on_path = includePath && (val & InternalBit.PATH_BIT);
+
+            let color = on_path ? IMAGE_COLORS.path : IMAGE_COLORS.floor;
+            if (markEnds && pos.eq(start)) color = IMAGE_COLORS.start;
+            else if (markEnds && pos.eq(end)) color = IMAGE_COLORS.end;
+            fillBlock(2 * c + 1, 2 * r + 1, color);
+
+            // Open passages take the path colour only if both sides are on the path
+            if (c < maze.width - 1 && !(val & InternalBit.EAST_BIT)) {
+                const both = on_path && maze._hasFlag(pos.move(Direction.East), InternalBit.PATH_BIT);
+                fillBlock(2 * c + 2, 2 * r + 1, both ? IMAGE_COLORS.path : IMAGE_COLORS.floor);
+            }
+            if (r < maze.height - 1 && !(val & InternalBit.SOUTH_BIT)) {
+                const both = on_path && maze._hasFlag(pos.move(Direction.South), InternalBit.PATH_BIT);
+                fillBlock(2 * c + 1, 2 * r + 2, both ? IMAGE_COLORS.path : IMAGE_COLORS.floor);
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+// Reads walls back from dark pixels. With width/height of 0 the grid is auto-detected, which
+// assumes passages as wide as walls (our own export). Other images (e.g. thin-line
+// screenshots) need the maze size given, and must include the outer border.
+function mazeFromPixels(maze, image, width = 0, height = 0) {
+    const { data } = image;
+    const dark = (x, y) => _luminance(data, (y * image.width + x) * 4) < 128;
+
+    // 1. Bounding box of the dark pixels = the outer border
+    let x0 = image.width, y0 = image.height, x1 = -1, y1 = -1;
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            if (!dark(x, y)) continue;
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            if (y > y1) y1 = y;
+        }
+    }
+    if (x1 < 0) throw new MazeLoadError("Image: no dark (wall) pixels found");
+
+    // 2. Wall thickness = shortest dark run from the top border down (a cell interior)
+    let t = y1 - y0 + 1;
+    for (let x = x0; x <= x1; x++) {
+        let run = 0;
+        while (y0 + run <= y1 && dark(x, y0 + run)) run++;
+        if (run < t) t = run;
+    }
+    if (t < 1) t = 1;
+
+    const spanX = x1 - x0 + 1 - t;
+    const spanY = y1 - y0 + 1 - t;
+    if (!width) width = Math.round(spanX / (2 * t));
+    if (!height) height = Math.round(spanY / (2 * t));
+    if (width < 1 || height < 1) throw new MazeLoadError("Image: could not detect the maze grid");
+    if (width > MAX_MAZE_DIM || height > MAX_MAZE_DIM) {
+        throw new MazeLoadError(`Dimensions too large: ${width}x${height} (max ${MAX_MAZE_DIM} per side)`);
+    }
+
+    const pitchX = spanX / width;
+    const pitchY = spanY / height;
+    const result = new Int32Array(width * height);
+    let start = null;
+    let end = null;
+
+    // Majority vote over a few samples along the middle of a wall segment
+    const isWall = (xa, ya, xb, yb) => {
+        let votes = 0;
+        for (let k = 1; k <= 5; k++) {
+            const x = Math.round(xa + (xb - xa) * k / 6);
+            const y = Math.round(ya + (yb - ya) * k / 6);
+            if (dark(Math.min(x, x1), Math.min(y, y1))) votes++;
+        }
+        return votes >= 3;
+    };
+
+    const nearColor = (x, y, rgb) => {
+        const i = (Math.round(y) * image.width + Math.round(x)) * 4;
+        return Math.abs(data[i] - rgb[0]) + Math.abs(data[i + 1] - rgb[1]) + Math.abs(data[i + 2] - rgb[2]) < 60;
+    };
+
+    for (let r = 0; r < height; r++) {
+        // Cell interior spans [top, bottom] vertically
+        const top = y0 + t + r * pitchY;
+        const bottom = y0 + (r + 1) * pitchY - 1;
+        const wallY = y0 + (r + 1) * pitchY + (t - 1) / 2;
+
+        for (let c = 0; c < width; c++) {
+            const left = x0 + t + c * pitchX;
+            const right = x0 + (c + 1) * pitchX - 1;
+            const wallX = x0 + (c + 1) * pitchX + (t - 1) / 2;
+
+            let val = 0;
+            if (isWall(wallX, top, wallX, bottom)) val |= InternalBit.EAST_BIT;
+            if (isWall(left, wallY, right, wallY)) val |= InternalBit.SOUTH_BIT;
+            result[r * width + c] = val;
+
+            const cx = (left + right) / 2;
+            const cy = (top + bottom) / 2;
+            if (nearColor(cx, cy, IMAGE_COLORS.start)) start = new Position(r, c);
+            else if (nearColor(cx, cy, IMAGE_COLORS.end)) end = new Position(r, c);
+        }
+    }
+
+    maze._assign(width, height, 0, result);
+    const rejected = maze.placeEnds(start, end);
+    maze.computeSolvable();
+    return { start, end, rejected };
+}
+
+// ==========================================
+// 9. INFORMED SEARCH (A*, GREEDY, IDA*, DIJKSTRA)
+// ==========================================
+
+// Estimated remaining distance from a cell to the goal. Zero turns A* into Dijkstra.
+const HEURISTICS = {
+    "Manhattan": (a, b) => Math.abs(a.row - b.row) + Math.abs(a.col - b.col),
+    "Euclidean": (a, b) => Math.hypot(a.row - b.row, a.col - b.col),
+    "Zero": () => 0
+};
+
+// Open set = OPEN_BIT, closed set = VISITED_BIT without OPEN_BIT, node being expanded = CURRENT_BIT.
+// setDirectionRouteBT() also sets VISITED_BIT, which is why "closed" needs OPEN_BIT to be clear.
+class AStarSolver {
+    constructor(maze, heuristic = "Manhattan") {
+        this.maze = maze;
+        this.heuristic = HEURISTICS[heuristic];
+        this.end = maze.getEnd();
+        this.g = new Float64Array(maze.width * maze.height).fill(Infinity);
+        this.open = null;
+        this.insertion = 0;
+        this.visit_counter = 0;
+        this.current = null;
+        this.node = null; // current open-list entry, expanded by the next step
+        this.found = false;
+        this.route = null;
+        this.routeIndex = 0;
+        this.stack = null; // IDA*
+        this.bound = null; // IDA*
+        this.next_bound = Infinity; // IDA*
+    }
+
+    h(pos) { return this.heuristic(pos, this.end); }
+
+    // Open-list entries (stale ones included); IDA* reports its current path instead
+    frontierSize() {
+        if (this.stack) return this.stack.length;
+        return this.open ? this.open.length : 0;
+    }
 
-            const fw = Math.max(1, w - 2 * inset);
-            const fh = Math.max(1, h - 2 * inset);
-            const fillX = x + inset;
-            const fillY = y + inset;
+    // Heap key; Greedy Best-First overrides this to ignore g
+    priority(g, h) { return g + h; }
 
-            // --- Flag Extraction ---
-            const is_path = (val & InternalBit.PATH_BIT);
-            const is_visited = (val & InternalBit.VISITED_BIT);
-            const on_stack = (val & InternalBit.ON_STACK_BIT);
-            const is_dead_junction = (val & InternalBit.DEAD_JUNCTION_BIT);
-            const is_pruned = (val & InternalBit.PRUNED_BIT);
+    _push(pos, g) {
+        const h = this.h(pos);
+        this.open.push({ pos, g, h, key: this.priority(g, h), order: this.insertion++ });
+        this.maze._setFlag(pos, InternalBit.OPEN_BIT);
+    }
 
-            let color = null;
+    // Cost of moving into pos; unit steps, so these solvers find the SHORTEST path
+    stepCost(pos) { return 1; }
 
-            // --- COLOR PRIORITY LOGIC ---
+    // For the hover display: null until the search has reached the cell
+    getScores(pos) {
+        const g = this.g[this.maze._cellIndex(pos)];
+        if (g === Infinity) return null;
+        const h = this.h(pos);
+        return { g, h, f: this.priority(g, h) };
+    }
 
-            // 1. Path (Highest Priority - Green)
-            // Even if a thread "owns" this cell, if it's part of the final path, show Green.
-            if (is_path) {
-                color = COLOR_PATH;
+    *solve_step_by_step() {
+        const start = this.maze.getStart();
+        const end = this.end;
+
+        if (!this.open) {
+            // Ties: lower key, then lower h (deeper nodes first), then FIFO
+            this.open = new MinHeap((a, b) => (a.key - b.key) || (a.h - b.h) || (a.order - b.order));
+            this.g[this.maze._cellIndex(start)] = 0;
+            this.maze.setDirectionRouteBT(start, Direction.Uninitialized);
+            this._push(start, 0);
+        }
+        const open = this.open;
+
+        while (!this.found) {
+            if (this.node) {
+                const cur = this.node.pos;
+                for (let d of [Direction.South, Direction.West, Direction.East, Direction.North]) {
+                    if (!this.maze.canMove(cur, d)) continue;
+                    const next = cur.move(d);
+                    const n_idx = this.maze._cellIndex(next);
+                    const ng = this.node.g + this.stepCost(next);
+                    if (ng >= this.g[n_idx]) continue;
+
+                    this.g[n_idx] = ng;
+                    this.maze.setDirectionRouteBT(next, reverseDir(d));
+                    this._push(next, ng);
+                }
+                this.node = null;
             }
-            // 2. MT_M1 Pruned Cells
-            else if (appState.algorithm === 'MT_M1' && is_pruned) {
-                const tid = maze.getThreadOwner(pos);
-                color = PRUNE_COLORS[tid] || COLOR_DEAD;
+
+            let node = null;
+            while (!node && open.length > 0) {
+                node = open.pop();
+                // Stale heap entry: the cell was reached more cheaply (or already closed) since
+                if (node.g > this.g[this.maze._cellIndex(node.pos)] || !this.maze._hasFlag(node.pos, InternalBit.OPEN_BIT)) node = null;
+            }
+            if (!node) break;
+
+            const cur = node.pos;
+            if (this.current) this.maze._clearFlag(this.current, InternalBit.CURRENT_BIT);
+            this.current = cur;
+            this.maze._clearFlag(cur, InternalBit.OPEN_BIT);
+            this.maze._setFlag(cur, InternalBit.CURRENT_BIT);
+            this.maze.setVisitOrder(cur, this.visit_counter++);
+
+            if (cur.eq(end)) this.found = true;
+            else this.node = node;
+            yield "SEARCHING";
+        }
+
+        if (this.current) this.maze._clearFlag(this.current, InternalBit.CURRENT_BIT);
+
+        if (this.found) {
+            if (!this.route) this.route = parentRoute(this.maze, end, start);
+            yield* markRouteSteps(this);
+            yield "FINISHED";
+        } else {
+            yield "NO_SOLUTION";
+        }
+    }
+}
+
+// Expands whatever looks closest to the goal; fast but not optimal
+class GreedyBestFirstSolver extends AStarSolver {
+    priority(g, h) { return h; }
+}
+
+// Minimises the total terrain cost (the CHEAPEST path) instead of the number of steps
+class DijkstraSolver extends AStarSolver {
+    constructor(maze) {
+        super(maze, "Zero");
+    }
+
+    stepCost(pos) { return this.maze.getCost(pos); }
+}
+
+// Iterative deepening A*: depth-first search bounded by f = g + h, raising the bound to the
+// smallest f that overflowed it. The current path is ON_STACK_BIT; cells expanded during the
+// current iteration are VISITED_BIT (cleared when a new iteration starts).
+class IDAStarSolver extends AStarSolver {
+    *solve_step_by_step() {
+        const start = this.maze.getStart();
+        const end = this.end;
+        const dirs = [Direction.South, Direction.West, Direction.East, Direction.North];
+        if (this.bound === null) this.bound = this.h(start);
+
+        while (!this.found) {
+            // New iteration (this.stack = null): restart from the start under this.bound
+            if (!this.stack) {
+                this.maze.clearFlags(InternalBit.VISITED_BIT | InternalBit.ON_STACK_BIT | InternalBit.CURRENT_BIT);
+                this.g.fill(Infinity);
+
+                this.next_bound = Infinity;
+                // Frame: [pos, g, index of the next direction to try]
+                this.stack = [[start, 0, 0]];
+                this.g[this.maze._cellIndex(start)] = 0;
+                this.maze.markOnStack(start, true);
+                this.maze._setFlag(start, InternalBit.VISITED_BIT);
+                this.maze._setFlag(start, InternalBit.CURRENT_BIT);
+                yield "SEARCHING";
+            }
+            const stack = this.stack;
+            const frame = stack[stack.length - 1];
+            const [cur, g] = frame;
+            this.maze._clearFlag(cur, InternalBit.CURRENT_BIT);
+
+            if (cur.eq(end)) {
+                this.found = true;
+                break;
             }
-            // 3. Dead Junctions (Grey)
-            else if (is_dead_junction) {
-                color = COLOR_DEAD;
+
+            let pushed = false;
+            while (frame[2] < dirs.length) {
+                const d = dirs[frame[2]++];
+                if (!this.maze.canMove(cur, d)) continue;
+                const next = cur.move(d);
+                if (this.maze._hasFlag(next, InternalBit.ON_STACK_BIT)) continue;
+
+                const ng = g + this.stepCost(next);
+                const f = ng + this.h(next);
+                if (f > this.bound) {
+                    if (f < this.next_bound) this.next_bound = f;
+                    continue;
+                }
+
+                this.g[this.maze._cellIndex(next)] = ng;
+                this.maze.markOnStack(next, true);
+                this.maze._setFlag(next, InternalBit.VISITED_BIT);
+                stack.push([next, ng, 0]);
+                pushed = true;
+                break;
             }
-            // 4. Active Junctions (Yellow)
-            else if (maze.isJunction(pos) && (is_visited || on_stack || (val & (InternalBit.VISITED_TB | InternalBit.VISITED_BT)))) {
-                color = COLOR_JUNCTION;
+
+            if (!pushed) {
+                stack.pop();
+                this.maze.markOnStack(cur, false);
             }
-            // 5. MT_M1 Team Colors
-            else if (appState.algorithm === 'MT_M1') {
-                if (val & InternalBit.VISITED_TB) color = "#32CD32"; // Lime
-                else if (val & InternalBit.VISITED_BT) color = "#FFD700"; // Gold
-                else if (val & InternalBit.VISITED_BIT) color = COLOR_VISITED;
+
+            if (stack.length > 0) {
+                this.maze._setFlag(stack[stack.length - 1][0], InternalBit.CURRENT_BIT);
+                yield "SEARCHING";
+            } else if (this.next_bound === Infinity) {
+                yield "NO_SOLUTION";
+                return;
+            } else {
+                this.bound = this.next_bound;
+                this.stack = null;
             }
-            // 6. MT_M2 Team Colors
-            else if (appState.algorithm === 'MT_M2') {
-                const tid = maze.getThreadOwner(pos);
-                // Check thread flags
-                if ((val & InternalBit.VISITED_TB) || (val & InternalBit.VISITED_BT)) {
-                    color = THREAD_COLORS[tid] || "#999";
-                } else if (val & InternalBit.VISITED_BIT) {
-                    color = COLOR_VISITED;
+        }
+
+        if (!this.route) this.route = this.stack.map((frame) => frame[0]).reverse();
+        yield* markRouteSteps(this);
+        yield "FINISHED";
+    }
+}
+
+// ==========================================
+// 10. CLASSIC WALKERS (WALL FOLLOWER, PLEDGE, TRÉMAUX)
+// ==========================================
+
+// One walker moving a cell per step, like a person in the maze. Cells ever entered get
+// VISITED_BIT; the loop-erased route from start is kept ON_STACK_BIT and becomes the path.
+// Subclasses only decide the next direction (Direction.Uninitialized = give up).
+class WalkerSolver {
+    constructor(maze) {
+        this.maze = maze;
+        this.pos = maze.getStart();
+        this.heading = Direction.South;
+        this.trail = [];
+        this.trailIndex = new Int32Array(maze.width * maze.height).fill(-1);
+        this.steps = 0;
+        this.route = null;
+        this.routeIndex = 0;
+    }
+
+    // Relative turns (Direction values run clockwise)
+    right(d) { return (d + 1) & 3; }
+    left(d) { return (d + 3) & 3; }
+    back(d) { return (d + 2) & 3; }
+
+    // Overlay hook: where the walker stands and which way it faces
+    getWalker() { return { pos: this.pos, heading: this.heading }; }
+
+    // Camera hook (follow mode)
+    focus() { return this.pos; }
+
+    // A walker holds no frontier, only its loop-erased route
+    frontierSize() { return this.trail.length; }
+
+    _enter(pos) {
+        const idx = this.maze._cellIndex(pos);
+        this.maze._setFlag(pos, InternalBit.VISITED_BIT);
+        if (this.maze.getVisitOrder(pos) === -1) this.maze.setVisitOrder(pos, this.steps);
+
+        // Walking back onto the route erases the loop we just made
+        if (this.trailIndex[idx] !== -1) {
+            while (this.trail.length - 1 > this.trailIndex[idx]) {
+                const p = this.trail.pop();
+                this.trailIndex[this.maze._cellIndex(p)] = -1;
+                this.maze.markOnStack(p, false);
+            }
+            return;
+        }
+        this.trailIndex[idx] = this.trail.length;
+        this.trail.push(pos);
+        this.maze.markOnStack(pos, true);
+    }
+
+    *solve_step_by_step() {
+        const end = this.maze.getEnd();
+        if (this.trail.length === 0) {
+            this._enter(this.pos);
+            if (!this.pos.eq(end)) yield "SEARCHING";
+        }
+
+        while (!this.pos.eq(end)) {
+            const d = this.chooseDirection();
+            if (d === Direction.Uninitialized) {
+                yield "NO_SOLUTION";
+                return;
+            }
+            this.heading = d;
+            this.pos = this.pos.move(d);
+            this.steps += 1;
+            this._enter(this.pos);
+            if (!this.pos.eq(end)) yield "SEARCHING";
+        }
+
+        if (!this.route) this.route = [...this.trail].reverse();
+        yield* markRouteSteps(this);
+        yield "FINISHED";
+    }
+}
+
+// Keeps one hand on the wall. Reaches the end only if it lies on a wall connected to the
+// start's; around an island the walker repeats a (cell, heading) state, which we detect.
+class WallFollowerSolver extends WalkerSolver {
+    constructor(maze, hand = "RIGHT") {
+        super(maze);
+        this.hand = hand;
+        this.seen = new Uint8Array(maze.width * maze.height * 4);
+        for (let d of [Direction.South, Direction.East, Direction.West, Direction.North]) {
+            if (maze.canMove(this.pos, d)) {
+                this.heading = d;
+                break;
+            }
+        }
+    }
+
+    chooseDirection() {
+        const h = this.heading;
+        const state = this.maze._cellIndex(this.pos) * 4 + h;
+        if (this.seen[state]) return Direction.Uninitialized;
+        this.seen[state] = 1;
+
+        const order = (this.hand === "RIGHT")
+            ? [this.right(h), h, this.left(h), this.back(h)]
+            : [this.left(h), h, this.right(h), this.back(h)];
+        for (let d of order) {
+            if (this.maze.canMove(this.pos, d)) return d;
+        }
+        return Direction.Uninitialized;
+    }
+}
+
+// Pledge: head in a preferred direction (towards the end); when blocked, follow the wall
+// with the right hand while summing turns (+1 right, -1 left) and let go once the sum is
+// back to 0. Designed to escape to the outside, so an interior end can still be missed:
+// a repeated (cell, heading, sum, mode) state or a step budget ends the run.
+class PledgeSolver extends WalkerSolver {
+    constructor(maze) {
+        super(maze);
+        const start = maze.getStart();
+        const end = maze.getEnd();
+        const dr = end.row - start.row;
+        const dc = end.col - start.col;
+        if (Math.abs(dr) >= Math.abs(dc)) this.preferred = dr >= 0 ? Direction.South : Direction.North;
+        else this.preferred = dc >= 0 ? Direction.East : Direction.West;
+
+        this.heading = this.preferred;
+        this.turns = 0;
+        this.following = false;
+        this.seen = new Set();
+        this.budget = 16 * maze.width * maze.height;
+    }
+
+    chooseDirection() {
+        const state = `${this.maze._cellIndex(this.pos)},${this.heading},${this.turns},${this.following}`;
+        if (this.seen.has(state) || this.steps > this.budget) return Direction.Uninitialized;
+        this.seen.add(state);
+
+        if (this.following && this.turns === 0) this.following = false;
+
+        if (!this.following) {
+            if (this.maze.canMove(this.pos, this.preferred)) return this.preferred;
+            // Blocked: put the wall on our right by turning left until a way opens
+            this.following = true;
+            let d = this.preferred;
+            for (let i = 0; i < 4; i++) {
+                d = this.left(d);
+                this.turns -= 1;
+                if (this.maze.canMove(this.pos, d)) return d;
+            }
+            return Direction.Uninitialized;
+        }
+
+        const h = this.heading;
+        const options = [[this.right(h), 1], [h, 0], [this.left(h), -1], [this.back(h), -2]];
+        for (let [d, turn] of options) {
+            if (this.maze.canMove(this.pos, d)) {
+                this.turns += turn;
+                return d;
+            }
+        }
+        return Direction.Uninitialized;
+    }
+}
+
+// Trémaux: every passage (edge between two cells) is marked each time it is walked, at most
+// twice. Prefer unmarked passages, turn back when arriving at a known cell over a fresh
+// passage, never take a passage marked twice. Always terminates.
+class TremauxSolver extends WalkerSolver {
+    constructor(maze) {
+        super(maze);
+        // marks[cell * 4 + dir], kept in sync on both sides of each passage
+        this.marks = new Uint8Array(maze.width * maze.height * 4);
+        this.came_from = Direction.Uninitialized;
+        this.arrivedAtOld = false;
+    }
+
+    getMarks(pos) {
+        const base = this.maze._cellIndex(pos) * 4;
+        return [this.marks[base], this.marks[base + 1], this.marks[base + 2], this.marks[base + 3]];
+    }
+
+    _mark(pos, d) {
+        this.marks[this.maze._cellIndex(pos) * 4 + d] += 1;
+        const n = pos.move(d);
+        this.marks[this.maze._cellIndex(n) * 4 + reverseDir(d)] += 1;
+    }
+
+    _count(pos, d) { return this.marks[this.maze._cellIndex(pos) * 4 + d]; }
+
+    chooseDirection() {
+        const pos = this.pos;
+        const back = this.came_from;
+        let d = Direction.Uninitialized;
+
+        if (this.arrivedAtOld && back !== Direction.Uninitialized && this._count(pos, back) === 1) {
+            // Closed a loop over a new passage: go straight back
+            d = back;
+        } else {
+            const open = [Direction.South, Direction.East, Direction.West, Direction.North]
+                .filter(dir => this.maze.canMove(pos, dir));
+            d = open.find(dir => dir !== back && this._count(pos, dir) === 0);
+            if (d === undefined && back !== Direction.Uninitialized && this._count(pos, back) === 1) d = back;
+            if (d === undefined) d = open.find(dir => this._count(pos, dir) === 1);
+            if (d === undefined) return Direction.Uninitialized;
+        }
+
+        this._mark(pos, d);
+        const next = pos.move(d);
+        this.arrivedAtOld = this.maze._hasFlag(next, InternalBit.VISITED_BIT);
+        this.came_from = reverseDir(d);
+        return d;
+    }
+}
+
+// ==========================================
+// 11. DEAD-END / CUL-DE-SAC FILLING
+// ==========================================
+
+// Sequential counterpart of MT_M1's PruneThread: scan the whole maze (one row per step) for
+// dead ends and fill them (PRUNED_BIT), following each corridor until it reaches a junction.
+// Scans repeat until one finds nothing. With culDeSac, loops that hang off a single cell
+// (and regions not connected to the start at all) are filled too, until only the corridor(s)
+// joining start and end remain. Thread owner 0 = dead-end fill, 1 = cul-de-sac fill.
+class DeadEndFillingSolver {
+    constructor(maze, culDeSac = false) {
+        this.maze = maze;
+        this.culDeSac = culDeSac;
+        this.phase = "DEAD_ENDS"; // then CUL_DE_SACS (and back) with culDeSac, then ROUTE
+        this.stack = [];
+        this.scanRow = 0; // next row of the current scan (height = scan done)
+        this.fills = null; // cells the current cul-de-sac pass fills
+        this.fillIndex = 0;
+        this.route = null;
+        this.routeIndex = 0;
+    }
+
+    // Dead ends waiting to be filled
+    frontierSize() { return this.stack.length; }
+
+    _isEndpoint(pos) {
+        return pos.eq(this.maze.getStart()) || pos.eq(this.maze.getEnd());
+    }
+
+    _isDeadEnd(pos) {
+        return !this.maze.isPruned(pos) && !this._isEndpoint(pos) &&
+            this.maze.getAvailableMovesNoPruned(pos).length <= 1;
+    }
+
+    _fill(pos, kind) {
+        this.maze.markPruned(pos);
+        this.maze.setThreadOwner(pos, kind);
+    }
+
+    // One row scanned or one cell filled per step; returns once a whole scan finds nothing
+    *fillDeadEnds() {
+        while (true) {
+            if (this.scanRow < this.maze.height) {
+                const r = this.scanRow++;
+                for (let c = 0; c < this.maze.width; c++) {
+                    const pos = new Position(r, c);
+                    if (this._isDeadEnd(pos)) this.stack.push(pos);
+                }
+                yield "SEARCHING";
+                continue;
+            }
+            if (this.stack.length === 0) return;
+
+            const pos = this.stack.pop();
+            const filled = this._isDeadEnd(pos);
+            if (filled) {
+                this._fill(pos, 0);
+                for (let d of this.maze.getAvailableMovesNoPruned(pos)) {
+                    const n = pos.move(d);
+                    if (this._isDeadEnd(n)) this.stack.push(n);
                 }
             }
-            // 7. DFS
-            else if (appState.algorithm === 'DFS') {
-                if (on_stack) color = COLOR_DFS_PATH;
-                else if (is_visited) color = COLOR_VISITED;
+            // Filled everything found: scan again
+            if (this.stack.length === 0) this.scanRow = 0;
+            if (filled) yield "SEARCHING";
+        }
+    }
+
+    // One DFS from the start (Tarjan low-links) finds every cell whose removal cuts off a
+    // subtree without the end; those subtrees, plus cells the DFS never reached, are filled.
+    // Returns the cells to fill.
+    culDeSacs() {
+        const m = this.maze;
+        const size = m.width * m.height;
+        const disc = new Int32Array(size).fill(-1);
+        const low = new Int32Array(size);
+        const last = new Int32Array(size); // largest disc inside the subtree
+        const parent = new Int32Array(size).fill(-1);
+        const cells = []; // disc -> Position
+
+        const start = m.getStart();
+        const endDisc = () => disc[m._cellIndex(m.getEnd())];
+        const stack = [[start, 0]];
+        disc[m._cellIndex(start)] = low[m._cellIndex(start)] = 0;
+        cells.push(start);
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const [pos] = frame;
+            const idx = m._cellIndex(pos);
+            const moves = m.getAvailableMovesNoPruned(pos);
+
+            if (frame[1] < moves.length) {
+                const n = pos.move(moves[frame[1]++]);
+                const n_idx = m._cellIndex(n);
+                if (disc[n_idx] === -1) {
+                    disc[n_idx] = low[n_idx] = cells.length;
+                    parent[n_idx] = idx;
+                    cells.push(n);
+                    stack.push([n, 0]);
+                } else if (n_idx !== parent[idx]) {
+                    low[idx] = Math.min(low[idx], disc[n_idx]);
+                }
+                continue;
             }
-            // 8. BFS
-            else if (is_visited) {
-                color = (appState.algorithm === 'BFS') ? COLOR_BFS_VISITED : COLOR_VISITED;
+
+            stack.pop();
+            last[idx] = Math.max(last[idx], disc[idx]);
+            if (parent[idx] !== -1) {
+                const p = parent[idx];
+                low[p] = Math.min(low[p], low[idx]);
+                last[p] = Math.max(last[p], last[idx]);
             }
+        }
+
+        // Collect top-most cut-off subtrees (disc ranges), skipping ones inside an earlier range
+        const fill = new Uint8Array(cells.length);
+        const e = endDisc();
+        for (let i = 1; i < cells.length; i++) {
+            if (fill[i]) continue;
+            const idx = m._cellIndex(cells[i]);
+            const p = parent[idx];
+            if (low[idx] < disc[p]) continue;
+            if (e >= disc[idx] && e <= last[idx]) continue;
+            for (let k = disc[idx]; k <= last[idx]; k++) fill[k] = 1;
+        }
+
+        const fills = cells.filter((pos, k) => fill[k]);
+
+        // Islands the start cannot reach
+        for (let i = 0; i < size; i++) {
+            const pos = new Position(Math.floor(i / m.width), i % m.width);
+            if (disc[i] === -1 && !m.isPruned(pos) && !this._isEndpoint(pos)) fills.push(pos);
+        }
+        return fills;
+    }
+
+    // One cell filled per step
+    *fillCulDeSacs() {
+        if (!this.fills) this.fills = this.culDeSacs();
+        while (this.fillIndex < this.fills.length) {
+            this._fill(this.fills[this.fillIndex++], 1);
+            yield "SEARCHING";
+        }
+    }
 
-            // Draw Cell Background
-            if (color) {
-                ctx.fillStyle = color;
-                ctx.fillRect(fillX, fillY, fw, fh);
+    *solve_step_by_step() {
+        // Cul-de-sac passes and dead-end scans alternate until a pass fills nothing
+        while (this.phase !== "ROUTE") {
+            if (this.phase === "DEAD_ENDS") {
+                yield* this.fillDeadEnds();
+                this.phase = this.culDeSac ? "CUL_DE_SACS" : "ROUTE";
+                this.fills = null;
+                this.fillIndex = 0;
+            } else {
+                yield* this.fillCulDeSacs();
+                this.phase = this.fills.length > 0 ? "DEAD_ENDS" : "ROUTE";
+                this.scanRow = 0;
             }
+        }
 
-            // Draw Walls
-            ctx.fillStyle = COLOR_WALL;
-            if (val & InternalBit.EAST_BIT) {
-                ctx.fillRect(x + w - wt, y, wt, h);
+        const start = this.maze.getStart();
+        const end = this.maze.getEnd();
+        if (!this.route) {
+            // Walk what is left: a BFS over unfilled cells picks one route if loops remain
+            const q = new Deque([start]);
+            this.maze.setDirectionRouteBT(start, Direction.Uninitialized);
+            let found = false;
+
+            while (q.length > 0) {
+                const cur = q.popleft();
+                if (cur.eq(end)) {
+                    found = true;
+                    break;
+                }
+                for (let d of this.maze.getAvailableMovesNoPruned(cur)) {
+                    const next = cur.move(d);
+                    if (next.eq(start) || this.maze.getDirectionRouteBT(next) !== Direction.Uninitialized) continue;
+                    this.maze.setDirectionRouteBT(next, reverseDir(d));
+                    q.append(next);
+                }
             }
-            if (val & InternalBit.SOUTH_BIT) {
-                ctx.fillRect(x, y + h - wt, w, wt);
+            this.route = found ? parentRoute(this.maze, end, start) : [];
+        }
+
+        if (this.route.length === 0) {
+            yield "NO_SOLUTION";
+            return;
+        }
+        yield* markRouteSteps(this);
+        yield "FINISHED";
+    }
+}
+
+// ==========================================
+// 12. SHARED MEMORY & WEB WORKERS
+// ==========================================
+
+// Real-thread mode for MT_M2 / MT_M1: cell flags and owners live in SharedArrayBuffers,
+// every DFSThread / PruneThread / walker / BFS runs in its own Web Worker (mt_worker.js)
+// and the page only renders the shared state. SharedArrayBuffer needs a cross-origin
+// isolated page, i.e. served with
+//   Cross-Origin-Opener-Policy: same-origin
+//   Cross-Origin-Embedder-Policy: require-corp
+
+const WORKER_SCRIPT = 'mt_worker.js';
+
+// Slots of the shared control block (Int32Array)
+const Ctl = {
+    STOP: 0,        // raised by the page or by the thread that ends the search
+    FOUND: 1,       // MT_M2: 1 + id of the thread that met the other team; MT_M1: first_exit
+    DELAY: 2,       // pause after every step, in microseconds
+    MEET: 3,        // MT_M2: row, col of the winner's collision cell
+    WALKER_DONE: 5, // MT_M1: 1 = walker stopped, 2 = walker reached BT territory
+    BFS_DONE: 6,
+    SLEEP: 7,       // never written; workers Atomics.wait on it to pause
+    READY: 8,       // start barrier: workers that have loaded and are waiting to go
+    SIZE: 9
+};
+
+// Maze over shared buffers (see Maze.share). Flag updates use Atomics so concurrent
+// workers never lose each other's OCCUPIED/DEAD/VISITED bits.
+class SharedMaze extends Maze {
+    constructor(layout) {
+        super();
+        this.width = layout.width;
+        this.height = layout.height;
+        this.solvable = layout.solvable;
+        this.start = new Position(layout.start.row, layout.start.col);
+        this.end = new Position(layout.end.row, layout.end.col);
+        this.poMazeData = new Int32Array(layout.data);
+        this.thread_ownership = new Int32Array(layout.owners);
+        this.reached = new Uint8Array(layout.reached);
+        this.counts = new Int32Array(layout.counts);
+        this._resetTracking();
+    }
+
+    // Only Count.REACHED is kept here: workers never touch PATH_BIT, and the per-owner
+    // held counts belong to the in-page MT solvers
+    _reach(idx, value) {
+        if ((value & REACHED_BITS) && Atomics.exchange(this.reached, idx, 1) === 0) {
+            Atomics.add(this.counts, Count.REACHED, 1);
+        }
+    }
+
+    getCell(pos) {
+        if (!this.isInside(pos)) return 0;
+        return Atomics.load(this.poMazeData, this._cellIndex(pos));
+    }
+
+    setCell(pos, value) {
+        const idx = this._cellIndex(pos);
+        Atomics.store(this.poMazeData, idx, value);
+        this._reach(idx, value);
+    }
+
+    _setFlag(pos, val) {
+        if (!this.isInside(pos)) return;
+        const idx = this._cellIndex(pos);
+        this._reach(idx, Atomics.or(this.poMazeData, idx, val) | val);
+    }
+
+    _clearFlag(pos, val) {
+        if (this.isInside(pos)) Atomics.and(this.poMazeData, this._cellIndex(pos), ~val);
+    }
+
+    setThreadOwner(pos, thread_id) {
+        Atomics.store(this.thread_ownership, this._cellIndex(pos), thread_id);
+    }
+
+    getThreadOwner(pos) {
+        return Atomics.load(this.thread_ownership, this._cellIndex(pos));
+    }
+
+    setDirectionRouteBT(pos, parent_dir) {
+        this._update(pos, (val) => (val & ~InternalBit.PARENT_MASK) | InternalBit.VISITED_BIT | parentFlag(parent_dir));
+    }
+
+    // Check and claim in one compare-exchange, so two teams can never both take a cell
+    claimTeamCell(pos, is_tb, parent_dir) {
+        const mine = is_tb ? InternalBit.VISITED_TB : InternalBit.VISITED_BT;
+        const theirs = is_tb ? InternalBit.VISITED_BT : InternalBit.VISITED_TB;
+        return this._update(pos, (val) => (val & theirs) ? null :
+            (val & ~InternalBit.PARENT_MASK) | mine | InternalBit.VISITED_BIT | parentFlag(parent_dir));
+    }
+
+    // Compare-exchange loop; change(val) returns the new value or null to give up
+    _update(pos, change) {
+        const idx = this._cellIndex(pos);
+        for (;;) {
+            const old = Atomics.load(this.poMazeData, idx);
+            const val = change(old);
+            if (val === null) return false;
+            if (Atomics.compareExchange(this.poMazeData, idx, old, val) === old) {
+                this._reach(idx, val);
+                return true;
             }
         }
     }
 }
 
-// Animation Loop
-function loop() {
-    const val = parseInt(slider.value);
-
-    if (appState.state !== "FINISHED" && appState.state !== "NO_SOLUTION") {
-        if (val < 0) {
-            // Slow down
-            appState.frameCounter++;
-            if (appState.frameCounter > Math.abs(val)) {
-                appState.frameCounter = 0;
-                try {
-                    const res = appState.generator.next();
-                    appState.state = res.done ? "FINISHED" : (res.value || "RUNNING");
-                } catch (e) { appState.state = "FINISHED"; }
+// Multi-producer, single-consumer queue of cells in a SharedArrayBuffer: [tail, slots...].
+// Append-only (MT_M1 pushes each boundary cell at most once), so no wrap-around.
+// Same append/popleft/length surface as Deque.
+class SharedQueue {
+    constructor(buffer, width) {
+        this.words = new Int32Array(buffer);
+        this.width = width;
+        this.head = 0; // consumer-local
+    }
+
+    static allocate(capacity) {
+        const words = new Int32Array(new SharedArrayBuffer((capacity + 1) * 4)).fill(-1);
+        words[0] = 0;
+        return words.buffer;
+    }
+
+    get length() { return Atomics.load(this.words, 0) - this.head; }
+
+    append(pos) {
+        const slot = Atomics.add(this.words, 0, 1) + 1;
+        if (slot >= this.words.length) throw new RangeError('SharedQueue overflow');
+        Atomics.store(this.words, slot, pos.row * this.width + pos.col);
+    }
+
+    popleft() {
+        const slot = ++this.head;
+        let idx;
+        // The producer reserved the slot just before writing it
+        while ((idx = Atomics.load(this.words, slot)) === -1);
+        return new Position(Math.floor(idx / this.width), idx % this.width);
+    }
+}
+
+// Single-producer list of ints in a SharedArrayBuffer: [count, items...]
+class SharedList {
+    constructor(buffer) { this.words = new Int32Array(buffer); }
+
+    static allocate(capacity) { return new SharedArrayBuffer((capacity + 1) * 4); }
+
+    get length() { return Atomics.load(this.words, 0); }
+
+    push(value) {
+        const n = this.words[0];
+        this.words[n + 1] = value;
+        Atomics.store(this.words, 0, n + 1);
+    }
+
+    *[Symbol.iterator]() {
+        const n = this.length;
+        for (let i = 0; i < n; i++) yield this.words[i + 1];
+    }
+}
+
+// Page side of the real-thread mode: spawns the workers, then yields "SEARCHING" once per
+// poll until the shared control block says the search is over, and reconstructs the path
+// with the same helpers as the simulated solvers. elapsedMs is wall-clock search time.
+class WorkerMTSolver {
+    // algorithm: 'MT_M2' (count = threads per team) or 'MT_M1' (count = pruners)
+    constructor(maze, algorithm, count, delayUs = 0) {
+        this.maze = maze;
+        this.algorithm = algorithm;
+        this.count = Math.max(1, count | 0);
+        this.delayUs = Math.max(0, delayUs | 0);
+        this.workers = [];
+        this.stacks = [];       // MT_M2: Junction stack each DFS worker posts when it returns
+        this.reported = 0;
+        this.solve_list = null;
+        this.route = null;
+        this.routeIndex = 0;
+        this.elapsedMs = 0;
+        this.error = null;
+        this.resumable = false; // live workers cannot be copied (see registerSolver)
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof SharedArrayBuffer !== 'undefined' &&
+            globalThis.crossOriginIsolated === true;
+    }
+
+    *solve_step_by_step() {
+        const layout = this.maze.share();
+        const ctl = new Int32Array(new SharedArrayBuffer(Ctl.SIZE * 4));
+        ctl[Ctl.DELAY] = this.delayUs;
+
+        const jobs = this.algorithm === 'MT_M2' ? this._m2Jobs() : this._m1Jobs();
+        // Each worker that ends on its own (not via STOP) stores its absolute end time;
+        // the last one through the start barrier stores the start time after them
+        const times = new Float64Array(new SharedArrayBuffer((jobs.length + 1) * 8));
+        const t0 = performance.timeOrigin + performance.now();
+
+        jobs.forEach((job, index) => {
+            const w = new Worker(WORKER_SCRIPT);
+            w.onerror = (e) => {
+                this.error = e.message || `${WORKER_SCRIPT} failed to load`;
+                Atomics.store(ctl, Ctl.STOP, 1);
+            };
+            w.onmessage = (e) => {
+                const { id, stack } = e.data;
+                this.stacks[id] = stack.map(([row, col, came_from]) => new Junction(new Position(row, col), came_from, []));
+                this.reported += 1;
+            };
+            w.postMessage({ ...job, index, total: jobs.length, layout, ctl: ctl.buffer, times: times.buffer });
+            this.workers.push(w);
+        });
+
+        while (!this._over(ctl, jobs.length)) {
+            this.elapsedMs = performance.timeOrigin + performance.now() - t0;
+            // The workers write the shared buffers directly, past setCell
+            this.maze.markAllDirty();
+            yield "SEARCHING";
+        }
+        this.stop();
+        this.maze.markAllDirty();
+
+        const started = times[jobs.length];
+        const ends = Array.from(times.subarray(0, jobs.length)).filter((t) => t > 0);
+        if (started > 0 && ends.length > 0) this.elapsedMs = Math.max(...ends) - started;
+
+        if (this.error) {
+            yield "NO_SOLUTION";
+        } else if (this.algorithm === 'MT_M2') {
+            if (ctl[Ctl.FOUND] > 0) {
+                const collision_pos = new Position(ctl[Ctl.MEET], ctl[Ctl.MEET + 1]);
+                this.route = MTSolver.meetingRoute(this.maze, collision_pos, this.count, (id) => this.stacks[id]);
+                yield* markRouteSteps(this);
+                yield "FINISHED";
+            } else {
+                yield "NO_SOLUTION";
             }
         } else {
-            // Speed up
-            const steps = val + 1;
-            for (let i = 0; i < steps; i++) {
-                try {
-                    const res = appState.generator.next();
-                    appState.state = res.done ? "FINISHED" : (res.value || "RUNNING");
-                    if (appState.state === "FINISHED") break;
-                } catch (e) { appState.state = "FINISHED"; break; }
+            this.route = MT_M1_Solver.walkRoute(this.maze, this.solve_list);
+            yield* markRouteSteps(this);
+            yield "FINISHED";
+        }
+    }
+
+    // Terminate every worker (also called by the page when a run is abandoned)
+    stop() {
+        for (let w of this.workers) w.terminate();
+        this.workers = [];
+    }
+
+    _over(ctl, jobCount) {
+        // MT_M2 needs every stack (the winner posts its own after writing MEET)
+        if (this.algorithm === 'MT_M2') return this.error !== null || this.reported === jobCount;
+        if (this.error || Atomics.load(ctl, Ctl.STOP)) return true;
+        const walker = Atomics.load(ctl, Ctl.WALKER_DONE);
+        return Atomics.load(ctl, Ctl.FOUND) !== 0 || walker === 2 || (walker !== 0 && Atomics.load(ctl, Ctl.BFS_DONE) !== 0);
+    }
+
+    // Same setup as MTSolver: TB ids 0..n-1 from the start, BT ids n..2n-1 from the end
+    _m2Jobs() {
+        const perTeam = this.count;
+        const jobs = [];
+        for (let i = 0; i < 2 * perTeam; i++) {
+            const is_tb = i < perTeam;
+            const branch = branchStartIndex(is_tb ? 0 : perTeam, i % perTeam, perTeam);
+            jobs.push({ role: 'DFS', id: i, is_tb, branch });
+        }
+        this.maze.markVisitedTeam(this.maze.getStart(), true);
+        this.maze.setThreadOwner(this.maze.getStart(), 0);
+        this.maze.markVisitedTeam(this.maze.getEnd(), false);
+        this.maze.setThreadOwner(this.maze.getEnd(), perTeam);
+        return jobs;
+    }
+
+    // Same bands as MT_M1_Solver; each band's in-queue receives at most one row of
+    // boundary cells from each neighbour
+    _m1Jobs() {
+        const width = this.maze.width;
+        const bands = MT_M1_Solver.bands(this.maze.height, this.count);
+        const queues = bands.map(() => SharedQueue.allocate(2 * width));
+        const jobs = bands.map((band, i) => ({
+            role: 'PRUNE', id: i, row_start: band.row_start, row_end: band.row_end,
+            in_q: queues[i], out_qs: [i > 0 ? queues[i - 1] : null, i < bands.length - 1 ? queues[i + 1] : null]
+        }));
+
+        const list = SharedList.allocate(this.maze.width * this.maze.height);
+        this.solve_list = new SharedList(list);
+        jobs.push({ role: 'WALK', solve_list: list });
+        jobs.push({ role: 'BFS' });
+        return jobs;
+    }
+}
+
+// ==========================================
+// 13. THREAD SCHEDULERS
+// ==========================================
+
+// Which simulated thread advances next in MTSolver / MT_M1_Solver. round(live) gets the
+// indices of the threads still running and returns the steps of one round, in order;
+// the solver yields to the UI after every round. Indices may repeat or be left out.
+// Seeded schedulers replay the exact same interleaving for the same seed.
+
+// The original fixed order: every live thread once, by index
+class RoundRobinScheduler {
+    round(live) { return live; }
+}
+
+// Each slot of the round goes to a uniformly random live thread
+class RandomScheduler {
+    constructor(seed) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+    }
+
+    round(live) {
+        return live.map(() => this.rng.pick(live));
+    }
+}
+
+// Like RandomScheduler, but thread i is drawn with relative weight weights[i] (default 1)
+class WeightedScheduler extends RandomScheduler {
+    constructor(seed, weights = []) {
+        super(seed);
+        this.weights = weights;
+    }
+
+    round(live) {
+        const w = live.map((i) => (i < this.weights.length ? Math.max(0, this.weights[i]) : 1));
+        const total = w.reduce((a, b) => a + b, 0);
+        if (total === 0) return live;
+        return live.map(() => {
+            let r = this.rng.next() * total;
+            for (let k = 0; k < live.length; k++) {
+                r -= w[k];
+                if (r < 0) return live[k];
             }
+            return live[live.length - 1];
+        });
+    }
+}
+
+// Round-robin, except thread k only runs every `period` rounds (or when it is the last one)
+class StarveScheduler {
+    constructor(k, period = 10) {
+        this.k = k;
+        this.period = Math.max(1, period);
+        this.rounds = 0;
+    }
+
+    round(live) {
+        this.rounds += 1;
+        if (this.rounds % this.period === 0 || live.length === 1) return live;
+        return live.filter((i) => i !== this.k);
+    }
+}
+
+// Scheduler factories by UI name; opts = { seed, weights, k }
+const SCHEDULERS = {
+    "Round-robin": () => new RoundRobinScheduler(),
+    "Random": (opts) => new RandomScheduler(opts.seed),
+    "Weighted": (opts) => new WeightedScheduler(opts.seed, opts.weights),
+    "Starve": (opts) => new StarveScheduler(opts.k)
+};
+
+// ==========================================
+// 14. SOLVER REGISTRY
+// ==========================================
+
+// Solvers offered by the UI, by name, in registration (button) order. A solver module
+// (see solvers.js for the built-ins) registers a spec:
+//   name       button label, also the appState.algorithm value
+//   create     (maze, options) => object with *solve_step_by_step(), and a seed property
+//              if it drew one for an empty 'seed' option (the page keeps it)
+//   options    schema for the controls shown while the solver is selected:
+//              { key, label, type: 'select' | 'range' | 'number' | 'seed' | 'text' | 'checkbox',
+//                default, choices: [[value, label], ...] (select), min, max (range/number) }
+//   cellColor  (maze, pos, val, options) => CSS colour or null, for cells that are not on
+//              the final path; null leaves the terrain tint
+//   legend     [[label, colour], ...] or (options) => such a list
+//   complete   false if the solver may report NO_SOLUTION on a solvable maze by design
+//              (validatePath then passes it); default true
+//   resumable  true if a copy of a solver (copyRunState) taken between two steps continues
+//              the run with a fresh solve_step_by_step(), so Step Back can resume from
+//              checkpoints instead of replaying from step 0; a solver object can still opt
+//              out with resumable = false. Default false
+const SOLVER_REGISTRY = new Map();
+
+// Called with the spec after every registration (the UI rebuilds its buttons)
+const solverRegistryListeners = [];
+
+const OPTION_TYPES = ['select', 'range', 'number', 'seed', 'text', 'checkbox'];
+
+class SolverRegistryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SolverRegistryError';
+    }
+}
+
+function registerSolver(spec) {
+    if (!spec || typeof spec.name !== 'string' || spec.name === '') {
+        throw new SolverRegistryError('Solver spec needs a non-empty name');
+    }
+    if (typeof spec.create !== 'function') {
+        throw new SolverRegistryError(`Solver "${spec.name}" needs a create(maze, options) function`);
+    }
+    if (SOLVER_REGISTRY.has(spec.name)) {
+        throw new SolverRegistryError(`Solver "${spec.name}" is already registered`);
+    }
+    const options = spec.options || [];
+    for (let opt of options) {
+        if (!OPTION_TYPES.includes(opt.type)) {
+            throw new SolverRegistryError(`Solver "${spec.name}": option "${opt.key}" has unknown type "${opt.type}"`);
+        }
+    }
+
+    const entry = { cellColor: null, legend: [], complete: true, resumable: false, ...spec, options };
+    SOLVER_REGISTRY.set(spec.name, entry);
+    for (let listener of solverRegistryListeners) listener(entry);
+    return entry;
+}
+
+// Option values for a solver with every missing key filled from the schema defaults
+function solverOptionDefaults(name, values = {}) {
+    const entry = SOLVER_REGISTRY.get(name);
+    const options = {};
+    if (!entry) return options;
+    for (let opt of entry.options) {
+        options[opt.key] = opt.key in values ? values[opt.key] : opt.default;
+    }
+    return options;
+}
+
+// Deep copy of a resumable solver between two steps, for checkpoints. The maze (snapshotted
+// on its own), Positions (never changed) and functions are shared; typed arrays, arrays,
+// Maps, Sets and objects are copied, the latter with their prototype, and anything reached
+// twice (e.g. a queue two threads share) is copied once. size.bytes gets a rough total.
+function copyRunState(value, size = { bytes: 0 }, seen = new Map()) {
+    if (value === null || typeof value !== 'object' || value instanceof Maze || value instanceof Position) return value;
+    if (seen.has(value)) return seen.get(value);
+
+    if (ArrayBuffer.isView(value)) {
+        const copy = value.slice();
+        seen.set(value, copy);
+        size.bytes += value.byteLength;
+        return copy;
+    }
+    if (Array.isArray(value)) {
+        const copy = [];
+        seen.set(value, copy);
+        for (let item of value) copy.push(copyRunState(item, size, seen));
+        size.bytes += 8 * value.length;
+        return copy;
+    }
+    if (value instanceof Map) {
+        const copy = new Map();
+        seen.set(value, copy);
+        for (let [k, v] of value) copy.set(copyRunState(k, size, seen), copyRunState(v, size, seen));
+        size.bytes += 16 * value.size;
+        return copy;
+    }
+    if (value instanceof Set) {
+        const copy = new Set();
+        seen.set(value, copy);
+        for (let item of value) copy.add(copyRunState(item, size, seen));
+        size.bytes += 8 * value.size;
+        return copy;
+    }
+
+    const copy = Object.create(Object.getPrototypeOf(value));
+    seen.set(value, copy);
+    const keys = Object.keys(value);
+    for (let key of keys) copy[key] = copyRunState(value[key], size, seen);
+    size.bytes += 16 + 8 * keys.length;
+    return copy;
+}
+
+// ==========================================
+// 15. PATH VALIDATION
+// ==========================================
+
+// Shortest start-end path in cells by plain BFS over canMove (-1 if the end is
+// unreachable). Keeps its own distances, so the maze flags are left alone.
+function shortestPathLength(maze) {
+    const start = maze.getStart();
+    const end = maze.getEnd();
+    const dist = new Int32Array(maze.width * maze.height).fill(-1);
+    const queue = [start];
+    dist[maze._cellIndex(start)] = 1;
+    for (let head = 0; head < queue.length; head++) {
+        const cur = queue[head];
+        if (cur.eq(end)) return dist[maze._cellIndex(cur)];
+        for (let d of [Direction.North, Direction.East, Direction.South, Direction.West]) {
+            if (!maze.canMove(cur, d)) continue;
+            const next = cur.move(d);
+            const idx = maze._cellIndex(next);
+            if (dist[idx] !== -1) continue;
+            dist[idx] = dist[maze._cellIndex(cur)] + 1;
+            queue.push(next);
         }
     }
+    return -1;
+}
+
+// Self-check of a finished run. found: the solver yielded FINISHED (false for NO_SOLUTION);
+// complete: false for solvers allowed to give up on a solvable maze (wall followers).
+// The route the solver marked (Maze.pathOrder, from either end) must step from start to
+// end through open walls, visit no cell twice and cover every PATH_BIT cell. Returns
+// { ok, message, length, shortest, cell } where cell is the first offending cell (or null)
+// and length / shortest count cells.
+function validatePath(maze, found = true, complete = true) {
+    const start = maze.getStart();
+    const end = maze.getEnd();
+    const shortest = shortestPathLength(maze);
+    const at = (p) => `(${p.row}, ${p.col})`;
+
+    let length = 0;
+    for (let i = 0; i < maze.poMazeData.length; i++) {
+        if (maze.poMazeData[i] & InternalBit.PATH_BIT) length += 1;
+    }
+    const result = (ok, message, cell = null) => ({ ok, message, length, shortest, cell });
+
+    if (!found) {
+        if (shortest === -1) return result(true, "No path exists");
+        if (!complete) return result(true, `Gave up (incomplete solver); a ${shortest}-cell path exists`);
+        return result(false, `Reported no solution, but a ${shortest}-cell path exists`);
+    }
+    // A cell marked twice in a row counts once (MT_M2 marks the meeting cell from both sides)
+    const marked = maze.pathOrder.filter((p, i, all) => i === 0 || !p.eq(all[i - 1]));
+    const route = marked.length > 0 && marked[0].eq(end) ? marked.reverse() : marked;
+    if (route.length === 0) return result(false, "Reported a solution but marked no path", start);
+    if (shortest === -1) return result(false, "Marked a path, but the end is unreachable", route[0]);
+    if (!route[0].eq(start)) return result(false, `Path begins at ${at(route[0])}, not at the start or end`, route[0]);
+
+    const seen = new Uint8Array(maze.width * maze.height);
+    for (let i = 0; i < route.length; i++) {
+        const p = route[i];
+        const idx = maze._cellIndex(p);
+        if (seen[idx]) return result(false, `Path visits ${at(p)} twice`, p);
+        seen[idx] = 1;
+        if (i === 0) continue;
+
+        const prev = route[i - 1];
+        const d = CARDINALS.find(d => prev.move(d).eq(p));
+        if (d === undefined) return result(false, `Path breaks off at ${at(prev)} (next cell ${at(p)})`, prev);
+        if (!maze.canMove(prev, d)) return result(false, `Path crosses the wall between ${at(prev)} and ${at(p)}`, prev);
+    }
+    const last = route[route.length - 1];
+    if (!last.eq(end)) return result(false, `Path stops at ${at(last)} before the end ${at(end)}`, last);
+
+    if (route.length !== length) {
+        const idx = maze.poMazeData.findIndex((v, i) => (v & InternalBit.PATH_BIT) && !seen[i]);
+        const stray = new Position(Math.floor(idx / maze.width), idx % maze.width);
+        return result(false, `Stray path cell at ${at(stray)}`, stray);
+    }
 
-    draw();
-    requestAnimationFrame(loop);
+    if (length === shortest) return result(true, `${length} cells, shortest`);
+    return result(true, `${length} cells, ${length - shortest} longer than the shortest (${shortest})`);
 }
 
-// Start
-loadMaze('50x50');
-loop();
\ No newline at end of file
+// ==========================================
+// 16. NODE EXPORTS
+// ==========================================
+
+// Everything above is DOM-free: the page and mt_worker.js see it as globals, Node
+// (bench.js) requires it as a module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Direction, InternalBit, Terrain, TERRAIN_COST, MAX_MAZE_DIM, REACHED_BITS, Count,
+        Position, Deque, MinHeap, SeededRandom, reverseDir,
+        Maze, MazeLoadError, Branches, Junction,
+        parentRoute, markRouteSteps, BFSSolver, DFSSolver, BidirectionalBFSSolver,
+        DFSThread, MTSolver, PruneThread, WalkThreadTB, BFSThreadBT, MT_M1_Solver,
+        AStarSolver, GreedyBestFirstSolver, DijkstraSolver, IDAStarSolver, HEURISTICS,
+        WalkerSolver, WallFollowerSolver, PledgeSolver, TremauxSolver, DeadEndFillingSolver,
+        MazeGenerator, GENERATORS,
+        mazeToAscii, mazeFromAscii,
+        RoundRobinScheduler, RandomScheduler, WeightedScheduler, StarveScheduler, SCHEDULERS,
+        SOLVER_REGISTRY, SolverRegistryError, registerSolver, solverOptionDefaults, copyRunState,
+        shortestPathLength, validatePath
+    };
+}
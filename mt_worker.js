@@ -0,0 +1,87 @@
+// Web Worker for WorkerMTSolver (see section 12 of maze.js): runs one DFSThread,
+// PruneThread, walker or BFS on a SharedMaze until it finishes on its own or the
+// page raises Ctl.STOP.
+importScripts('maze.js');
+
+self.onmessage = (e) => {
+    const job = e.data;
+    const maze = new SharedMaze(job.layout);
+    const ctl = new Int32Array(job.ctl);
+    const times = new Float64Array(job.times);
+
+    const stopped = () => Atomics.load(ctl, Ctl.STOP) !== 0;
+    const pause = () => {
+        const us = Atomics.load(ctl, Ctl.DELAY);
+        if (us > 0) Atomics.wait(ctl, Ctl.SLEEP, 0, us / 1000);
+    };
+    const finish = () => {
+        times[job.index] = performance.timeOrigin + performance.now();
+    };
+
+    // MT_M1 first_exit flag, shared by the walker and the BFS
+    const first_exit = {
+        get val() { return Atomics.load(ctl, Ctl.FOUND) !== 0; },
+        set val(v) { Atomics.store(ctl, Ctl.FOUND, v ? 1 : 0); }
+    };
+
+    // Start barrier: loading maze.js takes a while, so nobody moves until everyone is ready
+    const arrived = Atomics.add(ctl, Ctl.READY, 1) + 1;
+    if (arrived === job.total) {
+        times[job.total] = performance.timeOrigin + performance.now();
+        Atomics.notify(ctl, Ctl.READY);
+    } else {
+        let n;
+        while ((n = Atomics.load(ctl, Ctl.READY)) < job.total && !stopped()) Atomics.wait(ctl, Ctl.READY, n, 50);
+    }
+
+    if (job.role === 'DFS') {
+        const t = new DFSThread(job.id, job.is_tb, job.is_tb ? maze.getStart() : maze.getEnd(), maze, job.branch);
+        while (!stopped()) {
+            const res = t.step();
+            if (res === 'DEAD') {
+                finish();
+                break;
+            }
+            if (res === 'FOUND_TARGET') {
+                // First finder wins; the others see STOP
+                if (t.stack.length > 0 && Atomics.compareExchange(ctl, Ctl.FOUND, 0, job.id + 1) === 0) {
+                    Atomics.store(ctl, Ctl.MEET, t.target_pos.row);
+                    Atomics.store(ctl, Ctl.MEET + 1, t.target_pos.col);
+                    finish();
+                }
+                Atomics.store(ctl, Ctl.STOP, 1);
+                break;
+            }
+            pause();
+        }
+        // The page rebuilds the path from every thread's stack, as MTSolver does
+        self.postMessage({ id: job.id, stack: t.stack.map((j) => [j.at.row, j.at.col, j.came_from]) });
+    } else if (job.role === 'PRUNE') {
+        const out_qs = job.out_qs.map((q) => q && new SharedQueue(q, maze.width));
+        const p = new PruneThread(job.id, maze, job.row_start, job.row_end, new SharedQueue(job.in_q, maze.width), out_qs);
+        while (!stopped()) {
+            p.step();
+            pause();
+        }
+    } else if (job.role === 'WALK') {
+        const walker = new WalkThreadTB(maze, new SharedList(job.solve_list));
+        while (!walker.finished && !stopped()) {
+            walker.step(first_exit);
+            pause();
+        }
+        if (walker.finished) {
+            finish();
+            Atomics.store(ctl, Ctl.WALKER_DONE, walker.overlap ? 2 : 1);
+        }
+    } else if (job.role === 'BFS') {
+        const bfs = new BFSThreadBT(maze);
+        while (!bfs.finished && !stopped()) {
+            bfs.step(first_exit);
+            pause();
+        }
+        if (bfs.finished) {
+            finish();
+            Atomics.store(ctl, Ctl.BFS_DONE, 1);
+        }
+    }
+};
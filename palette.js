@@ -0,0 +1,44 @@
+// ==========================================
+// CELL PALETTE
+// ==========================================
+
+// Colours and the shared cell-colouring rules. No DOM here: solver modules (solvers.js)
+// colour their cells with these, and load without the page. Loaded after maze.js.
+
+// Colors mapping
+const COLOR_BG = "#FFFFFF";
+const COLOR_WALL = "#000000";
+const COLOR_DEAD = "#B7B7A4";
+const COLOR_VISITED = "#DCDCDC";
+const COLOR_BFS_VISITED = "#FFD778";
+const COLOR_PATH = "#006400";
+const COLOR_DFS_PATH = "#6495ED";
+const COLOR_JUNCTION = "#FFB900";
+const COLOR_UNCARVED = "#5A5A5A";
+const COLOR_START = "#1E90FF";
+const COLOR_END = "#DC143C";
+
+const COLOR_OPEN = "#8FD3FE";
+const COLOR_CLOSED = "#C8B6E2";
+const COLOR_CURRENT = "#FF00FF";
+
+// Walker overlay (solvers with getWalker / getMarks)
+const COLOR_WALKER = "#FF4500";
+const COLOR_TREMAUX_MARK = "#8B0000";
+
+// Background tint per Terrain (Plain stays white)
+const TERRAIN_COLORS = [null, "#E3D3A8", "#A0785A", "#7FB2E5"];
+
+// Shared junction rules: dead junctions grey, junctions the search has reached yellow
+function junctionColor(maze, pos, val) {
+    if (val & InternalBit.DEAD_JUNCTION_BIT) return COLOR_DEAD;
+    if (maze.isJunction(pos) && (val & (InternalBit.VISITED_BIT | InternalBit.ON_STACK_BIT | InternalBit.VISITED_TB | InternalBit.VISITED_BT))) {
+        return COLOR_JUNCTION;
+    }
+    return null;
+}
+
+// Cell colour for solvers without their own cellColor
+function defaultCellColor(maze, pos, val) {
+    return junctionColor(maze, pos, val) || ((val & InternalBit.VISITED_BIT) ? COLOR_VISITED : null);
+}
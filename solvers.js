@@ -0,0 +1,286 @@
+// ==========================================
+// BUILT-IN SOLVERS
+// ==========================================
+
+// Registers the bundled solvers with the solver registry (section 14 of maze.js).
+// Needs only maze.js and palette.js (COLOR_*, junctionColor), not the page. Further
+// solvers can register the same way from their own files.
+
+const COLOR_TEAM_TB = "#32CD32"; // Lime
+const COLOR_TEAM_BT = "#FFD700"; // Gold
+
+const MAX_THREADS = 16;
+
+// Dead-end / cul-de-sac filling: thread owner 0 / 1 (see DeadEndFillingSolver)
+const FILL_COLORS = { 0: COLOR_DEAD, 1: "#D8A7B1" };
+
+// MT_M2: TB team in reds, BT team in blues, each shaded light to dark by thread id
+function buildThreadColors(perTeam) {
+    const colors = {};
+    for (let i = 0; i < perTeam; i++) {
+        const light = perTeam === 1 ? 55 : 74 - Math.round(i * 40 / (perTeam - 1));
+        colors[i] = `hsl(0, 100%, ${light}%)`;
+        colors[perTeam + i] = `hsl(210, 100%, ${light}%)`;
+    }
+    return colors;
+}
+
+// MT_M1: one pastel per pruner band, hues spread around the wheel
+function buildPruneColors(count) {
+    const colors = {};
+    for (let i = 0; i < count; i++) {
+        colors[i] = `hsl(${Math.round(355 + i * 360 / count) % 360}, 70%, 82%)`;
+    }
+    return colors;
+}
+
+// build(count), rebuilt only when count changes (draw asks for every cell)
+function cachedPalette(build) {
+    let count = -1;
+    let colors = null;
+    return (n) => {
+        if (n !== count) {
+            count = n;
+            colors = build(n);
+        }
+        return colors;
+    };
+}
+
+const threadColors = cachedPalette(buildThreadColors);
+const pruneColors = cachedPalette(buildPruneColors);
+
+// --- Option schemas ---
+
+const HEURISTIC_OPTION = {
+    key: 'heuristic', label: 'Heuristic', type: 'select', default: 'Manhattan',
+    choices: [['Manhattan', 'Manhattan'], ['Euclidean', 'Euclidean'], ['Zero', 'Zero (Dijkstra)']]
+};
+
+// Scheduler and Web Worker controls shared by MT_M2 and MT_M1
+const MT_OPTIONS = [
+    {
+        key: 'scheduler', label: 'Thread scheduler', type: 'select', default: 'Round-robin',
+        choices: [['Round-robin', 'Round-robin'], ['Random', 'Seeded random'], ['Weighted', 'Weighted'], ['Starve', 'Starve thread k']]
+    },
+    { key: 'seed', label: 'Scheduler seed (Restart replays it)', type: 'seed', default: 1 },
+    { key: 'weights', label: 'Weights per thread index', type: 'text', default: '', placeholder: '1,1,4' },
+    { key: 'starve', label: 'Starved thread k', type: 'number', default: 0, min: 0, max: 2 * MAX_THREADS + 1 },
+    { key: 'workers', label: 'Real threads (Web Workers)', type: 'checkbox', default: false },
+    { key: 'delay', label: 'Worker step delay (µs)', type: 'number', default: 50, min: 0, max: 100000 }
+];
+
+// Scheduler for the simulated MT solvers and the seed it runs with. A missing seed is
+// drawn at random; the page stores it back into the options, so Restart replays it.
+function makeScheduler(opts) {
+    let seed = parseInt(opts.seed);
+    if (isNaN(seed)) seed = Math.floor(Math.random() * 1000000);
+    const weights = String(opts.weights).split(',').map(w => parseFloat(w)).filter(w => !isNaN(w));
+    return { scheduler: SCHEDULERS[opts.scheduler]({ seed, weights, k: parseInt(opts.starve) || 0 }), seed };
+}
+
+// MT_M2 / MT_M1 on Web Workers when asked for and possible, simulated otherwise
+function createMT(algorithm, maze, opts) {
+    const count = algorithm === 'MT_M2' ? opts.threads : opts.pruners;
+    if (opts.workers && WorkerMTSolver.isSupported()) {
+        return new WorkerMTSolver(maze, algorithm, count, opts.delay);
+    }
+    const { scheduler, seed } = makeScheduler(opts);
+    const solver = algorithm === 'MT_M2'
+        ? new MTSolver(maze, count, scheduler)
+        : new MT_M1_Solver(maze, count, scheduler);
+    solver.seed = seed;
+    if (opts.workers) {
+        solver.warning = "Web Workers need a cross-origin isolated page (COOP/COEP headers); running simulated threads.";
+    }
+    return solver;
+}
+
+// --- Cell colouring ---
+
+// DFS and the walkers (trail = loop-erased route so far)
+function trailColor(maze, pos, val) {
+    return junctionColor(maze, pos, val) ||
+        ((val & InternalBit.ON_STACK_BIT) ? COLOR_DFS_PATH : (val & InternalBit.VISITED_BIT) ? COLOR_VISITED : null);
+}
+
+// Informed search: current > open > (IDA* path) > closed, junctions not highlighted
+function informedColor(maze, pos, val) {
+    if (val & InternalBit.CURRENT_BIT) return COLOR_CURRENT;
+    if (val & InternalBit.OPEN_BIT) return COLOR_OPEN;
+    if (val & InternalBit.ON_STACK_BIT) return COLOR_DFS_PATH;
+    if (val & InternalBit.VISITED_BIT) return COLOR_CLOSED;
+    return null;
+}
+
+// MT_M1 / Bidirectional BFS Team Colors
+function teamColor(maze, pos, val) {
+    if (val & InternalBit.VISITED_TB) return COLOR_TEAM_TB;
+    if (val & InternalBit.VISITED_BT) return COLOR_TEAM_BT;
+    if (val & InternalBit.VISITED_BIT) return COLOR_VISITED;
+    return null;
+}
+
+function fillColor(maze, pos, val) {
+    if (val & InternalBit.PRUNED_BIT) return FILL_COLORS[maze.getThreadOwner(pos)] || COLOR_DEAD;
+    return defaultCellColor(maze, pos, val);
+}
+
+const JUNCTION_LEGEND = [["Junction", COLOR_JUNCTION], ["Dead junction", COLOR_DEAD]];
+const INFORMED_LEGEND = [["Current", COLOR_CURRENT], ["Open", COLOR_OPEN], ["Closed", COLOR_CLOSED]];
+const WALKER_LEGEND = [["Trail", COLOR_DFS_PATH], ["Visited", COLOR_VISITED], ["Walker", COLOR_WALKER]];
+
+// --- Registrations (button order) ---
+
+registerSolver({
+    name: 'BFS',
+    create: (maze) => new BFSSolver(maze),
+    resumable: true,
+    cellColor: (maze, pos, val) => junctionColor(maze, pos, val) || ((val & InternalBit.VISITED_BIT) ? COLOR_BFS_VISITED : null),
+    legend: [["Visited", COLOR_BFS_VISITED], ...JUNCTION_LEGEND]
+});
+
+registerSolver({
+    name: 'DFS',
+    create: (maze) => new DFSSolver(maze),
+    resumable: true,
+    cellColor: trailColor,
+    legend: [["Stack", COLOR_DFS_PATH], ["Visited", COLOR_VISITED], ...JUNCTION_LEGEND]
+});
+
+registerSolver({
+    name: 'BiBFS',
+    create: (maze) => new BidirectionalBFSSolver(maze),
+    resumable: true,
+    cellColor: (maze, pos, val) => junctionColor(maze, pos, val) || teamColor(maze, pos, val),
+    legend: [["From start", COLOR_TEAM_TB], ["From end", COLOR_TEAM_BT], ...JUNCTION_LEGEND]
+});
+
+registerSolver({
+    name: 'MT_M2',
+    create: (maze, opts) => createMT('MT_M2', maze, opts),
+    resumable: true,
+    options: [{ key: 'threads', label: 'Threads per team', type: 'range', default: 3, min: 1, max: MAX_THREADS }, ...MT_OPTIONS],
+    // MT_M2 Team Colors
+    cellColor: (maze, pos, val, opts) => {
+        const junction = junctionColor(maze, pos, val);
+        if (junction) return junction;
+        if (val & (InternalBit.VISITED_TB | InternalBit.VISITED_BT)) {
+            return threadColors(opts.threads)[maze.getThreadOwner(pos)] || "#999";
+        }
+        return (val & InternalBit.VISITED_BIT) ? COLOR_VISITED : null;
+    },
+    legend: (opts) => {
+        const n = opts.threads;
+        const colors = threadColors(n);
+        return [
+            [n === 1 ? "TB thread 0" : `TB threads 0–${n - 1}`, colors[0]],
+            [n === 1 ? `BT thread ${n}` : `BT threads ${n}–${2 * n - 1}`, colors[n]],
+            ...JUNCTION_LEGEND
+        ];
+    }
+});
+
+registerSolver({
+    name: 'MT_M1',
+    create: (maze, opts) => createMT('MT_M1', maze, opts),
+    resumable: true,
+    options: [{ key: 'pruners', label: 'Pruners', type: 'range', default: 4, min: 1, max: MAX_THREADS }, ...MT_OPTIONS],
+    // Pruned cells in their band's colour, then the walker / BFS teams
+    cellColor: (maze, pos, val, opts) => {
+        if (val & InternalBit.PRUNED_BIT) return pruneColors(opts.pruners)[maze.getThreadOwner(pos)] || COLOR_DEAD;
+        return junctionColor(maze, pos, val) || teamColor(maze, pos, val);
+    },
+    legend: (opts) => [
+        [`Pruned (${opts.pruners} bands)`, pruneColors(opts.pruners)[0]],
+        ["Walker (from start)", COLOR_TEAM_TB],
+        ["BFS (from end)", COLOR_TEAM_BT],
+        ...JUNCTION_LEGEND
+    ]
+});
+
+registerSolver({
+    name: 'A*',
+    create: (maze, opts) => new AStarSolver(maze, opts.heuristic),
+    resumable: true,
+    options: [HEURISTIC_OPTION],
+    cellColor: informedColor,
+    legend: INFORMED_LEGEND
+});
+
+registerSolver({
+    name: 'Greedy',
+    create: (maze, opts) => new GreedyBestFirstSolver(maze, opts.heuristic),
+    resumable: true,
+    options: [HEURISTIC_OPTION],
+    cellColor: informedColor,
+    legend: INFORMED_LEGEND
+});
+
+registerSolver({
+    name: 'IDA*',
+    create: (maze, opts) => new IDAStarSolver(maze, opts.heuristic),
+    resumable: true,
+    options: [HEURISTIC_OPTION],
+    cellColor: informedColor,
+    legend: [...INFORMED_LEGEND, ["Current path", COLOR_DFS_PATH]]
+});
+
+registerSolver({
+    name: 'Dijkstra',
+    create: (maze) => new DijkstraSolver(maze),
+    resumable: true,
+    cellColor: informedColor,
+    legend: INFORMED_LEGEND
+});
+
+registerSolver({
+    name: 'Left-Hand',
+    create: (maze) => new WallFollowerSolver(maze, "LEFT"),
+    resumable: true,
+    cellColor: trailColor,
+    complete: false,
+    legend: WALKER_LEGEND
+});
+
+registerSolver({
+    name: 'Right-Hand',
+    create: (maze) => new WallFollowerSolver(maze, "RIGHT"),
+    resumable: true,
+    cellColor: trailColor,
+    complete: false,
+    legend: WALKER_LEGEND
+});
+
+registerSolver({
+    name: 'Pledge',
+    create: (maze) => new PledgeSolver(maze),
+    resumable: true,
+    cellColor: trailColor,
+    complete: false,
+    legend: WALKER_LEGEND
+});
+
+registerSolver({
+    name: 'Trémaux',
+    create: (maze) => new TremauxSolver(maze),
+    resumable: true,
+    cellColor: trailColor,
+    legend: [...WALKER_LEGEND, ["Passage marks", COLOR_TREMAUX_MARK]]
+});
+
+registerSolver({
+    name: 'Dead-End',
+    create: (maze) => new DeadEndFillingSolver(maze, false),
+    resumable: true,
+    cellColor: fillColor,
+    legend: [["Filled dead end", FILL_COLORS[0]], ["Visited", COLOR_VISITED]]
+});
+
+registerSolver({
+    name: 'Cul-de-sac',
+    create: (maze) => new DeadEndFillingSolver(maze, true),
+    resumable: true,
+    cellColor: fillColor,
+    legend: [["Filled dead end", FILL_COLORS[0]], ["Filled cul-de-sac", FILL_COLORS[1]], ["Visited", COLOR_VISITED]]
+});
@@ -0,0 +1,2183 @@
+// ==========================================
+// MAIN UI INTERACTION
+// ==========================================
+
+const canvas = document.getElementById('mazeCanvas');
+const ctx = canvas.getContext('2d');
+const slider = document.getElementById('speedSlider');
+const timelineBar = document.getElementById('timeline');
+
+// Globals
+let maze = new Maze();
+let appState = {
+    algorithm: 'BFS', // SOLVER_REGISTRY name
+    solverOptions: {}, // solver name -> option values (see solverOptionDefaults)
+    solver: null,
+    generator: null,
+    state: "RUNNING",
+    editMode: false,
+    editTool: 'Walls', // 'Walls' or a Terrain name for the brush
+    currentMazeKey: '50x50',
+    wall_thickness: 2,
+    inset: 2,
+    frameCounter: 0,
+    paused: false, // loop() stops advancing; Step / Step Back still work
+    steps: 0, // solver yields so far in this run
+    peakFrontier: 0, // largest solver.frontierSize() seen in this run
+    elapsedMs: 0, // time this run has been running, pauses excluded
+    lastFrame: 0, // performance.now() of the previous frame
+    validation: null, // validatePath() result of the last finished run
+    heatmap: '', // '' = solver colours, 'order' or 'distance' (see heatValues)
+    camera: { zoom: 1, col: 0, row: 0, follow: false } // see MazeRenderer; follow: track solver.focus()
+};
+
+const STATUS_COLORS = { info: "#AAAAAA", warn: "#FFCC66", error: "#FF6666" };
+
+// Self-check badge and the outline around the first offending cell
+const COLOR_VALID = "#00C000";
+const COLOR_INVALID = "#FF3030";
+
+// Timeline scrubber: one colour per solver phase, plus the not-yet-run rest
+const PHASE_COLORS = { SEARCHING: "#4A7FD0", BACKTRACKING: COLOR_PATH, FINISHED: COLOR_PATH, NO_SOLUTION: "#B00000" };
+const COLOR_TIMELINE_EMPTY = "#444444";
+const COLOR_TIMELINE_CURSOR = "#FFFFFF";
+
+// Heatmap gradient, earliest / nearest first (no greens, so the path stays readable)
+const HEAT_STOPS = ["#313695", "#4575B4", "#74ADD1", "#E0F3F8", "#FFFFBF", "#FDAE61", "#F46D43", "#A50026"];
+
+const MAZE_FILES = {
+    "20x20": "Maze_Data/Maze20x20.data",
+    "50x50": "Maze_Data/Maze50x50.data",
+    "100x100": "Maze_Data/Maze100x100.data",
+    "200x200": "Maze_Data/Maze200x200.data"
+};
+
+// Mazes opened from disk during this session: key -> { buffer, start, end, rejected }
+// (start/end are null unless the file format carries them). Their keys carry a prefix so
+// a file can never shadow a MAZE_FILES entry (or an Object.prototype name).
+const USER_MAZE_PREFIX = "file:";
+const userMazes = new Map();
+
+// Name shown for a maze key (user files without the prefix)
+function mazeLabel(key) {
+    return key.startsWith(USER_MAZE_PREFIX) ? key.slice(USER_MAZE_PREFIX.length) : key;
+}
+
+// replay: re-create the run for stepping back, keeping the recorded timeline
+async function initSolver(replay = false) {
+    stopSolver();
+    maze.Reset();
+    const entry = SOLVER_REGISTRY.get(appState.algorithm);
+    if (!entry) {
+        appState.solver = null;
+        appState.generator = null;
+        appState.state = "NO_SOLUTION";
+        timeline.clear();
+        setStatus(`No solver registered as "${appState.algorithm}".`, 'error');
+        return;
+    }
+
+    const options = currentOptions();
+    const solver = entry.create(maze, options);
+    keepSeed(solver, options);
+    appState.solver = solver;
+    appState.generator = solver.solve_step_by_step();
+    appState.state = "RUNNING";
+    appState.steps = 0;
+    appState.peakFrontier = 0;
+    if (!replay) {
+        timeline.start(maze, isResumable(entry, solver) ? solver : null);
+        appState.elapsedMs = 0;
+    }
+    showValidation(null);
+    if (solver.warning) setStatus(solver.warning, 'warn');
+    else setStatus(`Running ${runLabel(solver)}...`);
+}
+
+// Option values of the selected solver (missing ones from the schema defaults)
+function currentOptions() {
+    return optionsFor(appState.algorithm);
+}
+
+function optionsFor(name) {
+    appState.solverOptions[name] = solverOptionDefaults(name, appState.solverOptions[name]);
+    return appState.solverOptions[name];
+}
+
+// A seed the solver drew for an empty seed option is kept, so Restart replays the run
+function keepSeed(solver, options) {
+    if (solver.seed === undefined || solver.seed === options.seed) return;
+    options.seed = solver.seed;
+    renderSolverOptions();
+}
+
+// Whether Step Back can resume `solver` from checkpoints (see registerSolver)
+function isResumable(entry, solver) {
+    return entry.resumable && solver.resumable !== false;
+}
+
+// Algorithm name plus how its threads are run (seeded schedulers show their seed,
+// so a failing interleaving can be replayed)
+function runLabel(solver) {
+    if (solver instanceof WorkerMTSolver) return `${appState.algorithm} on Web Workers`;
+    if (solver && solver.scheduler) return `${appState.algorithm} (${describeScheduler(solver.scheduler)})`;
+    return appState.algorithm;
+}
+
+function describeScheduler(scheduler) {
+    if (scheduler instanceof WeightedScheduler) return `weighted scheduler, seed ${scheduler.seed}`;
+    if (scheduler instanceof RandomScheduler) return `random scheduler, seed ${scheduler.seed}`;
+    if (scheduler instanceof StarveScheduler) return `starving thread ${scheduler.k}`;
+    return 'round-robin';
+}
+
+// Abandon the current run (terminates WorkerMTSolver workers)
+function stopSolver() {
+    if (appState.solver && appState.solver.stop) appState.solver.stop();
+}
+
+// Pass/fail badge for a validatePath() result (null hides it)
+function showValidation(result) {
+    appState.validation = result;
+    const el = document.getElementById('validation');
+    if (!result) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = '';
+    el.textContent = `${result.ok ? 'PASS' : 'FAIL'}: ${result.message}`;
+    el.style.background = result.ok ? COLOR_VALID : COLOR_INVALID;
+}
+
+// kind: 'info' (default), 'warn' or 'error'
+function setStatus(text, kind = 'info') {
+    const el = document.getElementById('status');
+    el.textContent = text;
+    el.style.color = STATUS_COLORS[kind];
+}
+
+// Called once per run when the solver reaches a terminal state
+function reportResult() {
+    const entry = SOLVER_REGISTRY.get(appState.algorithm);
+    showValidation(validatePath(maze, appState.state === "FINISHED", !entry || entry.complete));
+    const solver = appState.solver;
+    if (solver instanceof WorkerMTSolver) {
+        if (solver.error) {
+            setStatus(`${appState.algorithm} workers failed: ${solver.error}`, 'error');
+            return;
+        }
+        const timing = `${solver.elapsedMs.toFixed(1)} ms wall-clock`;
+        if (appState.state === "NO_SOLUTION") setStatus(`${appState.algorithm} (workers): no solution after ${timing}.`, maze.isSolvable() ? 'warn' : 'info');
+        else setStatus(`${appState.algorithm} (workers) finished in ${timing}: path length ${maze.pathStats().length}.`);
+        return;
+    }
+    const name = runLabel(solver);
+    if (appState.state === "NO_SOLUTION") {
+        if (maze.isSolvable()) setStatus(`${name} found no path, but the maze header says it is solvable.`, 'warn');
+        else setStatus(`${name}: no solution (${appState.steps} steps).`);
+    } else if (!maze.isSolvable()) {
+        setStatus(`${name} finished, but the maze header says it is unsolvable.`, 'warn');
+    } else {
+        const { length, cost } = maze.pathStats();
+        setStatus(`${name} finished in ${appState.steps} steps: path length ${length}, terrain cost ${cost}.`);
+    }
+}
+
+// Returns true on success; on failure the previous maze (and its run) stays as it was
+async function loadMaze(key) {
+    try {
+        if (userMazes.has(key)) {
+            const entry = userMazes.get(key);
+            maze.LoadFromBuffer(entry.buffer);
+            maze.placeEnds(entry.start, entry.end);
+        }
+        else if (key in MAZE_FILES) await maze.Load(MAZE_FILES[key]);
+        else throw new MazeLoadError(`Unknown maze "${key}"`);
+    } catch (e) {
+        console.error(e);
+        setStatus(`Failed to load ${mazeLabel(key)}: ${describeError(e)}`, 'error');
+        return false;
+    }
+
+    // 1. Update Button Visuals
+    document.querySelectorAll('#size-btns button').forEach(b => {
+        b.classList.toggle('active', (b.dataset.key || b.textContent) === key);
+    });
+
+    // 2. Update the Text Label
+    const sizeEl = document.getElementById('size-label');
+    if (sizeEl) {
+        sizeEl.textContent = "Size: " + mazeLabel(key);
+    }
+
+    // 3. Start Solving
+    appState.currentMazeKey = key;
+    stopEditing(false);
+    editHistory.clear();
+    resetCamera();
+    clearPins();
+    initSolver();
+    if (comparison.active) comparison.restart();
+    return true;
+}
+
+function setVisualSettings() {
+    // Visual Settings based on on-screen cell size (handles non-square mazes and zoom too)
+    const zoom = appState.camera.zoom;
+    const style = wallStyle(canvas.width * zoom, canvas.height * zoom, maze);
+    appState.wall_thickness = style.wall_thickness;
+    appState.inset = style.inset;
+}
+
+// Wall thickness and cell inset for drawing m into a width x height canvas
+function wallStyle(width, height, m) {
+    const cell = Math.min(width / m.width, height / m.height);
+    if (cell < 5) return { wall_thickness: 1, inset: 0 };
+    if (cell < 10) return { wall_thickness: 1, inset: 1 };
+    return { wall_thickness: 2, inset: 2 };
+}
+
+// Register a local .data file as a session entry in the size list and load it
+async function openMazeFile(file) {
+    if (!file) return;
+    const key = USER_MAZE_PREFIX + file.name.replace(/\.[^.]+$/, '');
+    const isNew = !userMazes.has(key);
+    const previous = userMazes.get(key);
+
+    let entry;
+    try {
+        entry = await readMazeFile(file);
+    } catch (e) {
+        console.error(e);
+        setStatus(`Failed to load ${file.name}: ${describeError(e)}`, 'error');
+        return;
+    }
+    if (!entry) return;
+
+    userMazes.set(key, entry);
+    if (!isNew) {
+        if (await loadMaze(key)) reportRejectedEnds(file, entry.rejected);
+        else userMazes.set(key, previous);
+        return;
+    }
+
+    const btn = document.createElement('button');
+    btn.textContent = mazeLabel(key);
+    btn.dataset.key = key;
+    btn.title = file.name;
+    btn.onclick = () => loadMaze(key);
+    document.getElementById('size-btns').appendChild(btn);
+
+    if (await loadMaze(key)) {
+        reportRejectedEnds(file, entry.rejected);
+    } else {
+        btn.remove();
+        userMazes.delete(key);
+    }
+}
+
+function reportRejectedEnds(file, rejected) {
+    if (rejected.length === 0) return;
+    setStatus(`${file.name}: ignored the ${rejected.join(" and ")} marker (it sits on the other endpoint).`, 'warn');
+}
+
+// Text and images are converted to the .data layout so every session entry loads the same way;
+// their start/end markers travel alongside. Resolves to null if the user cancelled.
+async function readMazeFile(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.txt')) {
+        const parsed = new Maze();
+        const { rejected } = mazeFromAscii(parsed, await file.text());
+        return { buffer: parsed.Save(), start: parsed.getStart(), end: parsed.getEnd(), rejected };
+    }
+    if (/\.(png|jpe?g|gif|bmp|webp)$/.test(name)) {
+        const answer = prompt("Maze size as WxH (leave blank to auto-detect):", "");
+        if (answer === null) return null;
+        const dims = answer.match(/^\s*(\d+)\s*x\s*(\d+)\s*$/i);
+        if (answer.trim() !== "" && !dims) throw new MazeLoadError(`Image: "${answer}" is not a WxH size`);
+
+        const parsed = new Maze();
+        const image = await decodeImage(file);
+        const { rejected } = mazeFromPixels(parsed, image, dims ? parseInt(dims[1]) : 0, dims ? parseInt(dims[2]) : 0);
+        return { buffer: parsed.Save(), start: parsed.getStart(), end: parsed.getEnd(), rejected };
+    }
+    return { buffer: await file.arrayBuffer(), start: null, end: null, rejected: [] };
+}
+
+async function decodeImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const off = document.createElement('canvas');
+    off.width = bitmap.width;
+    off.height = bitmap.height;
+    const offCtx = off.getContext('2d');
+    offCtx.drawImage(bitmap, 0, 0);
+    return offCtx.getImageData(0, 0, off.width, off.height);
+}
+
+function describeError(e) {
+    return (e instanceof MazeLoadError) ? e.message : `Unexpected error: ${e.message}`;
+}
+
+function generateMaze() {
+    const algo = document.getElementById('genAlgo').value;
+    const width = Math.max(2, Math.min(1000, parseInt(document.getElementById('genWidth').value) || 50));
+    const height = Math.max(2, Math.min(1000, parseInt(document.getElementById('genHeight').value) || 50));
+
+    const seedEl = document.getElementById('genSeed');
+    let seed = parseInt(seedEl.value);
+    if (isNaN(seed)) {
+        seed = Math.floor(Math.random() * 1000000);
+        seedEl.value = seed;
+    }
+
+    document.querySelectorAll('#size-btns button').forEach(b => b.classList.remove('active'));
+    const sizeEl = document.getElementById('size-label');
+    if (sizeEl) {
+        sizeEl.textContent = `Size: ${width}x${height} (${algo}, seed ${seed})`;
+    }
+
+    appState.currentMazeKey = null;
+    comparison.stop();
+    stopSolver();
+    showValidation(null);
+    timeline.clear();
+    appState.steps = 0;
+    stopEditing(false);
+    editHistory.clear();
+    const generator = new GENERATORS[algo](maze, width, height, seed);
+    appState.generator = generator.generate_step_by_step();
+    appState.state = "GENERATING";
+
+    // Init() runs on the first step, so allocate now to have something to draw
+    maze.Init(width, height);
+    resetCamera();
+    clearPins();
+    setStatus(`Generating (${algo})...`);
+}
+
+function randomSeed() {
+    document.getElementById('genSeed').value = Math.floor(Math.random() * 1000000);
+}
+
+function saveMaze() {
+    if (maze.width === 0 || appState.state === "GENERATING") {
+        setStatus("Nothing to save yet.", 'warn');
+        return;
+    }
+
+    const buffer = maze.Save();
+
+    // Round-trip check: what we write must load back to the exact same walls
+    const check = new Maze();
+    check.LoadFromBuffer(buffer);
+    if (!maze.sameWalls(check) || !maze.sameTerrain(check)) {
+        setStatus("Save failed: round-trip check mismatch.", 'error');
+        return;
+    }
+
+    const name = `Maze${maze.width}x${maze.height}.data`;
+    downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), name);
+    setStatus(`Saved ${name} (${buffer.byteLength} bytes).`);
+}
+
+function downloadBlob(blob, name) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    // Revoking straight after click() cancels the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function exportOptions() {
+    return {
+        includePath: document.getElementById('exportPath').checked,
+        markEnds: document.getElementById('exportEnds').checked
+    };
+}
+
+function exportAscii() {
+    if (maze.width === 0 || appState.state === "GENERATING") {
+        setStatus("Nothing to export yet.", 'warn');
+        return;
+    }
+    const name = `Maze${maze.width}x${maze.height}.txt`;
+    downloadBlob(new Blob([mazeToAscii(maze, exportOptions())], { type: 'text/plain' }), name);
+    setStatus(`Exported ${name}.`);
+}
+
+function exportImage() {
+    if (maze.width === 0 || appState.state === "GENERATING") {
+        setStatus("Nothing to export yet.", 'warn');
+        return;
+    }
+    // Keep big mazes to roughly 2000px per side
+    const scale = Math.max(1, Math.min(8, Math.floor(2000 / (2 * Math.max(maze.width, maze.height) + 1))));
+    const pixels = mazeToPixels(maze, { ...exportOptions(), scale });
+
+    const off = document.createElement('canvas');
+    off.width = pixels.width;
+    off.height = pixels.height;
+    off.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+
+    const name = `Maze${maze.width}x${maze.height}.png`;
+    off.toBlob(blob => {
+        downloadBlob(blob, name);
+        setStatus(`Exported ${name}.`);
+    }, 'image/png');
+}
+
+function setAlgo(name) {
+    appState.algorithm = name;
+    renderSolverControls();
+    // The solver starts by itself once the running generation (or editing) completes
+    if (appState.state !== "GENERATING" && !appState.editMode) initSolver();
+}
+
+// Store an option of the selected solver; by default a running solver restarts with it
+function setSolverOption(key, value, restart = true) {
+    currentOptions()[key] = value;
+    renderSolverOptions();
+    renderLegend();
+    if (restart && comparison.active) comparison.restart();
+    else if (restart && appState.state !== "GENERATING" && !appState.editMode) initSolver();
+}
+
+// Buttons, option controls and legend, all generated from SOLVER_REGISTRY
+function renderSolverControls() {
+    const btns = document.getElementById('algo-btns');
+    btns.innerHTML = '';
+    for (let name of SOLVER_REGISTRY.keys()) {
+        const b = document.createElement('button');
+        b.textContent = name;
+        b.onclick = () => setAlgo(name);
+        if (name === appState.algorithm) b.classList.add('active');
+        btns.appendChild(b);
+    }
+    renderSolverOptions();
+    renderLegend();
+}
+
+function renderSolverOptions() {
+    const box = document.getElementById('solver-options');
+    box.innerHTML = '';
+    const entry = SOLVER_REGISTRY.get(appState.algorithm);
+    if (!entry) return;
+    const values = currentOptions();
+
+    for (let opt of entry.options) {
+        const value = values[opt.key];
+        const label = document.createElement('label');
+        label.textContent = opt.type === 'range' ? `${opt.label}: ${value}` : opt.label;
+        let input;
+
+        if (opt.type === 'select') {
+            input = document.createElement('select');
+            for (let [v, text] of opt.choices) {
+                const o = document.createElement('option');
+                o.value = v;
+                o.textContent = text;
+                input.appendChild(o);
+            }
+            input.value = value;
+            input.onchange = () => setSolverOption(opt.key, input.value);
+        } else if (opt.type === 'checkbox') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = !!value;
+            input.onchange = () => setSolverOption(opt.key, input.checked);
+            label.textContent = '';
+            label.appendChild(input);
+            const text = document.createElement('span');
+            text.textContent = ' ' + opt.label;
+            label.appendChild(text);
+            box.appendChild(label);
+            continue;
+        } else {
+            input = document.createElement('input');
+            input.type = opt.type === 'seed' ? 'number' : opt.type;
+            if (opt.min !== undefined) input.min = opt.min;
+            if (opt.max !== undefined) input.max = opt.max;
+            if (opt.placeholder) input.placeholder = opt.placeholder;
+            input.value = value;
+            const parse = () => (opt.type === 'text' ? input.value : parseInt(input.value, 10));
+            if (opt.type === 'range') input.oninput = () => setSolverOption(opt.key, parse());
+            else input.onchange = () => setSolverOption(opt.key, parse());
+        }
+        input.id = `opt-${opt.key}`;
+        box.appendChild(label);
+
+        if (opt.type === 'seed') {
+            const group = document.createElement('div');
+            group.className = 'btn-group';
+            const reseed = document.createElement('button');
+            reseed.textContent = 'New Seed';
+            reseed.onclick = () => setSolverOption(opt.key, Math.floor(Math.random() * 1000000));
+            group.appendChild(input);
+            group.appendChild(reseed);
+            box.appendChild(group);
+        } else {
+            box.appendChild(input);
+        }
+    }
+}
+
+// Start / end / path plus whatever the selected solver lists
+function renderLegend() {
+    const box = document.getElementById('legend');
+    box.innerHTML = '';
+    const entry = SOLVER_REGISTRY.get(appState.algorithm);
+    let items = entry ? entry.legend : [];
+    if (typeof items === 'function') items = items(currentOptions());
+
+    for (let [text, color] of [["Start", COLOR_START], ["End", COLOR_END], ["Path", COLOR_PATH], ...items]) {
+        const row = document.createElement('div');
+        row.className = 'legend-item';
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = color;
+        const label = document.createElement('span');
+        label.textContent = text;
+        row.appendChild(swatch);
+        row.appendChild(label);
+        box.appendChild(row);
+    }
+}
+
+// Hover readout of g/h/f for solvers that keep scores (A* family)
+function showScores(event) {
+    const info = document.getElementById('hover-info');
+    const solver = appState.solver;
+    if (maze.width === 0 || !solver || !solver.getScores) {
+        info.textContent = "";
+        return;
+    }
+
+    const pos = cellAt(event);
+    if (!maze.isInside(pos)) return;
+    const scores = solver.getScores(pos);
+    const fmt = (v) => Number.isInteger(v) ? v : v.toFixed(2);
+    info.textContent = scores
+        ? `(${pos.row}, ${pos.col})  g=${fmt(scores.g)}  h=${fmt(scores.h)}  f=${fmt(scores.f)}`
+        : `(${pos.row}, ${pos.col})  not reached`;
+}
+
+function restart() {
+    if (comparison.active) comparison.restart();
+    else if (appState.editMode) stopEditing(true);
+    else if (appState.state !== "GENERATING") initSolver();
+}
+
+// Draw Function
+function draw() {
+    const heat = heatValues(maze, appState.heatmap);
+    const view = {
+        entry: SOLVER_REGISTRY.get(appState.algorithm),
+        options: currentOptions(),
+        solver: appState.solver,
+        generating: appState.state === "GENERATING",
+        running: !isDone(),
+        validation: appState.editMode ? null : appState.validation,
+        heat,
+        inset: appState.inset,
+        wall_thickness: appState.wall_thickness,
+        camera: appState.camera
+    };
+    // Main view and minimap share one record of changed cells
+    const dirty = maze.takeDirty();
+    mainRenderer.render(ctx, canvas.width, canvas.height, maze, view, dirty);
+    drawPins();
+    drawMinimap(view, dirty);
+    renderHeatLegend(heat);
+}
+
+// Above this many cells per side the cell layer holds one pixel per cell (an ImageData scaled
+// up to the canvas): a fillRect per cell is too slow there, and cells are a few pixels anyway
+const IMAGE_DATA_THRESHOLD = 300;
+
+// Walls are left out where cells are thinner than this: they would hide the cells entirely
+const MIN_WALL_CELL_PIXELS = 2;
+
+// Camera showing the whole maze
+const FULL_VIEW = { zoom: 1, col: 0, row: 0 };
+
+// Paints a maze into a width x height area of a 2D context, one renderer per canvas.
+// Cell colours and walls live on two offscreen layers covering the visible cells plus a
+// margin, so panning only moves them. Each frame looks at the cells in `dirty` (from
+// Maze.takeDirty(); null = every cell, also when the colouring itself changed, heatmap
+// scale included) and repaints those whose colour or walls really differ, then copies both
+// layers and draws the overlays (endpoints, walker, validation outline) on top.
+//
+// view: the registry entry and options that colour it, the solver (walker overlay),
+// generating / running flags, the validation to outline, the heatValues() to colour by
+// instead, the wallStyle() numbers, and the camera ({ zoom, col, row }: zoom 1 fits the
+// whole maze, col / row is the cell at the top-left corner; default FULL_VIEW).
+class MazeRenderer {
+    constructor() {
+        this.cellLayer = document.createElement('canvas');
+        this.wallLayer = document.createElement('canvas');
+        this.cellCtx = this.cellLayer.getContext('2d');
+        this.wallCtx = this.wallLayer.getContext('2d');
+        this.maze = null;
+        this.layout = null; // canvas / maze sizes, zoom and wallStyle() the layers were built for
+        this.window = null; // cells on the layers: columns c0..c1-1, rows r0..r1-1
+        this.colouring = null; // solver, options and mode of the last frame
+        this.looks = []; // per window cell as painted: '' (background), 'terrain:<t>' or a fill colour
+        this.walls = null; // per window cell as painted: EAST_BIT / SOUTH_BIT
+        this.image = null; // ImageData when the cell layer is one pixel per cell
+    }
+
+    // Forget the layers (the next render repaints everything); for a renderer that skipped
+    // frames and so missed their dirty cells
+    invalidate() {
+        this.maze = null;
+    }
+
+    render(g, width, height, m, view, dirty = m.takeDirty()) {
+        g.fillStyle = COLOR_BG;
+        g.fillRect(0, 0, width, height);
+        if (m.width === 0) {
+            this.maze = null;
+            return;
+        }
+
+        const cam = view.camera || FULL_VIEW;
+        const stepX = cam.zoom * width / m.width;
+        const stepY = cam.zoom * height / m.height;
+        const layout = [width, height, m.width, m.height, cam.zoom, view.inset, view.wall_thickness].join();
+        if (m !== this.maze || layout !== this.layout || !this._covers(m, cam)) {
+            this._build(stepX, stepY, m, view, cam);
+            this.maze = m;
+            this.layout = layout;
+            dirty = null;
+        }
+        const heat = view.heat ? `${view.heat.mode}:${view.heat.scale}` : '';
+        const colouring = [view.entry ? view.entry.name : '', JSON.stringify(view.options), view.generating, heat].join();
+        if (colouring !== this.colouring) dirty = null;
+        this.colouring = colouring;
+
+        this._update(m, view, dirty);
+
+        const win = this.window;
+        const ox = Math.round((win.c0 - cam.col) * stepX);
+        const oy = Math.round((win.r0 - cam.row) * stepY);
+        g.imageSmoothingEnabled = false;
+        g.drawImage(this.cellLayer, ox, oy, this.xs[win.c1 - win.c0], this.ys[win.r1 - win.r0]);
+        if (this.drawWalls) g.drawImage(this.wallLayer, ox, oy);
+
+        if (!view.generating) {
+            g.save();
+            g.translate(-cam.col * stepX, -cam.row * stepY);
+            drawEndpoints(g, m, stepX, stepY);
+            if (view.running) drawWalker(g, m, view.solver, stepX, stepY);
+            drawOffender(g, view.validation, stepX, stepY);
+            g.restore();
+        }
+    }
+
+    // Whether the layers hold every cell the camera shows
+    _covers(m, cam) {
+        const win = this.window;
+        return win !== null && cam.col >= win.c0 && cam.row >= win.r0 &&
+            cam.col + m.width / cam.zoom <= win.c1 && cam.row + m.height / cam.zoom <= win.r1;
+    }
+
+    // Blank layers for the cells around the camera's view (half a screen of margin each
+    // side); the next _update paints every cell and wall on them
+    _build(stepX, stepY, m, view, cam) {
+        const spanX = m.width / cam.zoom;
+        const spanY = m.height / cam.zoom;
+        const win = this.window = {
+            c0: Math.max(0, Math.floor(cam.col - spanX / 2)),
+            r0: Math.max(0, Math.floor(cam.row - spanY / 2)),
+            c1: Math.min(m.width, Math.ceil(cam.col + spanX * 1.5)),
+            r1: Math.min(m.height, Math.ceil(cam.row + spanY * 1.5))
+        };
+        const cols = win.c1 - win.c0;
+        const rows = win.r1 - win.r0;
+
+        // Cell edges in layer pixels (window column k spans xs[k] to xs[k + 1])
+        this.xs = Int32Array.from({ length: cols + 1 }, (_, k) => Math.floor(k * stepX));
+        this.ys = Int32Array.from({ length: rows + 1 }, (_, k) => Math.floor(k * stepY));
+        this.inset = view.inset;
+        this.wall_thickness = view.wall_thickness;
+        this.drawWalls = Math.min(stepX, stepY) >= MIN_WALL_CELL_PIXELS;
+
+        if (Math.max(cols, rows) > IMAGE_DATA_THRESHOLD) {
+            this.cellLayer.width = cols;
+            this.cellLayer.height = rows;
+            this.image = this.cellCtx.createImageData(cols, rows);
+            const [r, g, b] = colorToRgb(COLOR_BG);
+            const px = this.image.data;
+            for (let o = 0; o < px.length; o += 4) {
+                px[o] = r;
+                px[o + 1] = g;
+                px[o + 2] = b;
+                px[o + 3] = 255;
+            }
+            this.cellCtx.putImageData(this.image, 0, 0);
+        } else {
+            this.cellLayer.width = this.xs[cols];
+            this.cellLayer.height = this.ys[rows];
+            this.image = null;
+            this.cellCtx.fillStyle = COLOR_BG;
+            this.cellCtx.fillRect(0, 0, this.xs[cols], this.ys[rows]);
+        }
+        // Resizing clears it
+        this.wallLayer.width = this.drawWalls ? this.xs[cols] : 1;
+        this.wallLayer.height = this.drawWalls ? this.ys[rows] : 1;
+
+        this.looks = new Array(cols * rows).fill('');
+        this.walls = new Uint8Array(cols * rows);
+    }
+
+    // Repaint the cells in `dirty` (null = all) whose look or walls changed
+    _update(m, view, dirty) {
+        const win = this.window;
+        const cols = win.c1 - win.c0;
+        const count = dirty ? dirty.length : cols * (win.r1 - win.r0);
+        const wg = this.wallCtx;
+        const wt = this.wall_thickness;
+        // Changed region of the ImageData, in window cells
+        let minR = Infinity, maxR = -1, minC = Infinity, maxC = -1;
+
+        wg.beginPath();
+        for (let k = 0; k < count; k++) {
+            let r, c;
+            if (dirty) {
+                r = Math.floor(dirty[k] / m.width);
+                c = dirty[k] - r * m.width;
+                if (c < win.c0 || c >= win.c1 || r < win.r0 || r >= win.r1) continue;
+                r -= win.r0;
+                c -= win.c0;
+            } else {
+                r = Math.floor(k / cols);
+                c = k - r * cols;
+            }
+            const idx = (r + win.r0) * m.width + c + win.c0;
+            const local = r * cols + c;
+
+            const look = this._look(m, view, idx);
+            if (look !== this.looks[local]) {
+                this.looks[local] = look;
+                if (this.image) {
+                    this._paintPixel(local, look);
+                    minR = Math.min(minR, r);
+                    maxR = Math.max(maxR, r);
+                    minC = Math.min(minC, c);
+                    maxC = Math.max(maxC, c);
+                } else {
+                    this._paintCell(r, c, look);
+                }
+            }
+
+            // A cell's walls lie inside its own rectangle, so it can be cleared and redrawn alone
+            const bits = m.poMazeData[idx] & WALL_MASK;
+            if (this.drawWalls && bits !== this.walls[local]) {
+                const x = this.xs[c], y = this.ys[r];
+                const w = this.xs[c + 1] - x, h = this.ys[r + 1] - y;
+                if (this.walls[local]) wg.clearRect(x, y, w, h);
+                this.walls[local] = bits;
+                if (bits & InternalBit.EAST_BIT) wg.rect(x + w - wt, y, wt, h);
+                if (bits & InternalBit.SOUTH_BIT) wg.rect(x, y + h - wt, w, wt);
+            }
+        }
+        wg.fillStyle = COLOR_WALL;
+        wg.fill();
+
+        if (maxR !== -1) this.cellCtx.putImageData(this.image, 0, 0, minC, minR, maxC - minC + 1, maxR - minR + 1);
+    }
+
+    // What cell idx shows: '' (background), 'terrain:<t>' (whole-cell tint) or the fill colour
+    _look(m, view, idx) {
+        const val = m.poMazeData[idx];
+        const terrain = m.terrain[idx];
+        if (val === 0 && terrain === Terrain.Plain) return '';
+
+        let color = null;
+
+        // --- COLOR PRIORITY LOGIC ---
+
+        // 0. Maze generation in progress
+        if (view.generating) {
+            if (val & InternalBit.ON_STACK_BIT) color = COLOR_DFS_PATH;
+            else if (!(val & InternalBit.VISITED_BIT)) color = COLOR_UNCARVED;
+        }
+        // 1. Path (Highest Priority - Green)
+        // Even if a thread "owns" this cell, if it's part of the final path, show Green.
+        else if (val & InternalBit.PATH_BIT) {
+            color = COLOR_PATH;
+        }
+        // 2. Heatmap mode: the gradient replaces the solver's colours
+        else if (view.heat) {
+            const v = view.heat.values[idx];
+            if (v !== -1) color = heatColor(v, view.heat.scale);
+        }
+        // 3. Whatever the registered solver says
+        else {
+            const pos = new Position(Math.floor(idx / m.width), idx % m.width);
+            color = view.entry && view.entry.cellColor
+                ? view.entry.cellColor(m, pos, val, view.options)
+                : defaultCellColor(m, pos, val);
+        }
+
+        // Terrain tint shows wherever the solver has nothing to say
+        if (color) return color;
+        return terrain !== Terrain.Plain ? `terrain:${terrain}` : '';
+    }
+
+    _paintCell(r, c, look) {
+        const g = this.cellCtx;
+        const x = this.xs[c], y = this.ys[r];
+        const w = this.xs[c + 1] - x, h = this.ys[r + 1] - y;
+        g.fillStyle = COLOR_BG;
+        g.fillRect(x, y, w, h);
+        if (look.startsWith('terrain:')) {
+            g.fillStyle = TERRAIN_COLORS[look.slice(8)];
+            g.fillRect(x, y, w, h);
+        } else if (look) {
+            const inset = this.inset;
+            g.fillStyle = look;
+            g.fillRect(x + inset, y + inset, Math.max(1, w - 2 * inset), Math.max(1, h - 2 * inset));
+        }
+    }
+
+    _paintPixel(local, look) {
+        const color = look === '' ? COLOR_BG : look.startsWith('terrain:') ? TERRAIN_COLORS[look.slice(8)] : look;
+        const [r, g, b] = colorToRgb(color);
+        const o = local * 4;
+        this.image.data[o] = r;
+        this.image.data[o + 1] = g;
+        this.image.data[o + 2] = b;
+    }
+}
+
+const mainRenderer = new MazeRenderer();
+
+// CSS colour -> [r, g, b] through a 1x1 canvas (so any syntax the page uses works), cached
+const rgbCache = new Map();
+let rgbProbe = null;
+
+function colorToRgb(color) {
+    let rgb = rgbCache.get(color);
+    if (!rgb) {
+        if (!rgbProbe) {
+            const probe = document.createElement('canvas');
+            probe.width = 1;
+            probe.height = 1;
+            rgbProbe = probe.getContext('2d', { willReadFrequently: true });
+        }
+        rgbProbe.clearRect(0, 0, 1, 1);
+        rgbProbe.fillStyle = color;
+        rgbProbe.fillRect(0, 0, 1, 1);
+        const px = rgbProbe.getImageData(0, 0, 1, 1).data;
+        rgb = [px[0], px[1], px[2]];
+        rgbCache.set(color, rgb);
+    }
+    return rgb;
+}
+
+// Outline the first cell a failed validation complains about
+function drawOffender(g, v, stepX, stepY) {
+    if (!v || v.ok || !v.cell) return;
+    const pad = Math.max(2, Math.min(stepX, stepY) * 0.5);
+    g.strokeStyle = COLOR_INVALID;
+    g.lineWidth = Math.max(2, pad / 2);
+    g.strokeRect(v.cell.col * stepX - pad, v.cell.row * stepY - pad, stepX + 2 * pad, stepY + 2 * pad);
+}
+
+// Walker solvers: an arrow for position + heading, and Trémaux passage marks as dots
+function drawWalker(g, m, solver, stepX, stepY) {
+    if (!solver || !solver.getWalker) return;
+
+    // Trémaux marks only where cells are big enough to show them
+    if (solver.getMarks && Math.min(stepX, stepY) >= 4) {
+        const dot = Math.max(1, Math.min(stepX, stepY) * 0.08);
+        g.fillStyle = COLOR_TREMAUX_MARK;
+        for (let r = 0; r < m.height; r++) {
+            for (let c = 0; c < m.width; c++) {
+                const marks = solver.getMarks(new Position(r, c));
+                for (let d = 0; d < 4; d++) {
+                    // Dots sit just inside the cell edge the passage crosses, one per mark
+                    for (let k = 0; k < marks[d]; k++) {
+                        const along = (k === 0 ? -1 : 1) * dot * 1.5;
+                        const off = [[0.5, 0.15], [0.85, 0.5], [0.5, 0.85], [0.15, 0.5]][d];
+                        const x = (c + off[0]) * stepX + (d % 2 === 0 ? along : 0);
+                        const y = (r + off[1]) * stepY + (d % 2 === 1 ? along : 0);
+                        g.fillRect(x - dot / 2, y - dot / 2, dot, dot);
+                    }
+                }
+            }
+        }
+    }
+
+    const { pos, heading } = solver.getWalker();
+    const cx = (pos.col + 0.5) * stepX;
+    const cy = (pos.row + 0.5) * stepY;
+    const size = Math.max(4, Math.min(stepX, stepY) * 0.45);
+    const angle = [-Math.PI / 2, 0, Math.PI / 2, Math.PI][heading];
+
+    g.save();
+    g.translate(cx, cy);
+    g.rotate(angle);
+    g.fillStyle = COLOR_WALKER;
+    g.beginPath();
+    g.moveTo(size, 0);
+    g.lineTo(-size * 0.6, size * 0.6);
+    g.lineTo(-size * 0.6, -size * 0.6);
+    g.closePath();
+    g.fill();
+    g.restore();
+}
+
+// Start = filled circle, End = ring, sized to the cell but never smaller than a few pixels
+function drawEndpoints(g, m, stepX, stepY) {
+    const radius = Math.max(3, Math.min(stepX, stepY) * 0.35);
+    const centre = (pos) => [(pos.col + 0.5) * stepX, (pos.row + 0.5) * stepY];
+
+    const [sx, sy] = centre(m.getStart());
+    g.fillStyle = COLOR_START;
+    g.beginPath();
+    g.arc(sx, sy, radius, 0, 2 * Math.PI);
+    g.fill();
+
+    const [ex, ey] = centre(m.getEnd());
+    g.strokeStyle = COLOR_END;
+    g.lineWidth = Math.max(2, radius / 2);
+    g.beginPath();
+    g.arc(ex, ey, radius, 0, 2 * Math.PI);
+    g.stroke();
+}
+
+// Mouse position in canvas pixels
+function canvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * canvas.width / rect.width,
+        y: (event.clientY - rect.top) * canvas.height / rect.height
+    };
+}
+
+// Mouse position in (fractional) cells, through the camera
+function mazePoint(event) {
+    const { x, y } = canvasPoint(event);
+    const cam = appState.camera;
+    return { col: cam.col + x / cellWidth(cam.zoom), row: cam.row + y / cellHeight(cam.zoom) };
+}
+
+// Canvas pixel -> maze cell (may be outside the maze if the click missed it)
+function cellAt(event) {
+    const p = mazePoint(event);
+    return new Position(Math.floor(p.row), Math.floor(p.col));
+}
+
+// Shift-click moves the start, Alt-click the end; the run restarts on the new endpoints
+function placeEndpoint(event) {
+    if (!event.shiftKey && !event.altKey) return;
+    if (maze.width === 0 || appState.state === "GENERATING") return;
+    event.preventDefault();
+
+    const pos = cellAt(event);
+    const ok = event.shiftKey ? maze.setStart(pos) : maze.setEnd(pos);
+    if (!ok) {
+        setStatus("Start and end must be two different cells inside the maze.", 'warn');
+        return;
+    }
+
+    // The header's flag was about the default endpoints
+    maze.computeSolvable();
+    if (!appState.editMode) initSolver();
+}
+
+function onCanvasClick(event) {
+    if (overMinimap(event) || panDragged) return;
+    if (event.shiftKey || event.altKey) placeEndpoint(event);
+    else if (appState.editMode && appState.editTool === 'Walls') toggleWallAt(event);
+    else if (!appState.editMode) pinAt(event);
+}
+
+// ==========================================
+// CAMERA (ZOOM / PAN / FOLLOW / MINIMAP)
+// ==========================================
+
+const MAX_CELL_PIXELS = 64; // zoom stops once a cell is this wide
+const FOLLOW_ZOOM = 4; // zoom that turning Follow on starts from, when not zoomed in yet
+const FOLLOW_EASE = 0.15; // share of the way to the target the camera moves per frame
+const MINIMAP_SIZE = 180; // longer side, pixels
+const MINIMAP_MARGIN = 10;
+const COLOR_MINIMAP_BORDER = "#555555";
+const COLOR_VIEWPORT = "#FF00FF";
+
+const minimapCanvas = document.createElement('canvas');
+const minimapCtx = minimapCanvas.getContext('2d');
+const minimapRenderer = new MazeRenderer();
+
+// Mouse drag in progress: { x, y, col, row, moved } at the press, or { minimap: true }
+let pan = null;
+// The last press was a drag, so the click that ends it is no click
+let panDragged = false;
+
+// On-screen cell size at a zoom level
+function cellWidth(zoom) { return zoom * canvas.width / maze.width; }
+function cellHeight(zoom) { return zoom * canvas.height / maze.height; }
+
+function maxZoom() {
+    return Math.max(1, MAX_CELL_PIXELS / Math.min(cellWidth(1), cellHeight(1)));
+}
+
+// Zoom in [1, maxZoom] and the view inside the maze
+function clampCamera() {
+    const cam = appState.camera;
+    cam.zoom = Math.min(Math.max(cam.zoom, 1), maxZoom());
+    cam.col = Math.min(Math.max(cam.col, 0), maze.width - maze.width / cam.zoom);
+    cam.row = Math.min(Math.max(cam.row, 0), maze.height - maze.height / cam.zoom);
+}
+
+// Whole maze in view (a new maze keeps Follow as it was)
+function resetCamera() {
+    Object.assign(appState.camera, { zoom: 1, col: 0, row: 0 });
+    setVisualSettings();
+}
+
+// Zoom by `factor` keeping the cell under canvas pixel (x, y) where it is
+function zoomAt(factor, x, y) {
+    const cam = appState.camera;
+    const col = cam.col + x / cellWidth(cam.zoom);
+    const row = cam.row + y / cellHeight(cam.zoom);
+    cam.zoom *= factor;
+    clampCamera();
+    cam.col = col - x / cellWidth(cam.zoom);
+    cam.row = row - y / cellHeight(cam.zoom);
+    clampCamera();
+    setVisualSettings();
+}
+
+function onWheel(event) {
+    if (maze.width === 0 || appState.state === "GENERATING") return;
+    event.preventDefault();
+    const { x, y } = canvasPoint(event);
+    zoomAt(Math.pow(2, -event.deltaY / 500), x, y);
+}
+
+// Left-drag pans (outside the editor, whose clicks draw), middle-drag pans always;
+// pressing on the minimap moves the view there instead
+function startPan(event) {
+    panDragged = false;
+    if (maze.width === 0 || event.shiftKey || event.altKey) return;
+    if (overMinimap(event)) {
+        event.preventDefault();
+        pan = { minimap: true };
+        setFollow(false);
+        centreOnMinimap(event);
+        return;
+    }
+    if (!(event.button === 1 || (event.button === 0 && !appState.editMode))) return;
+    if (appState.camera.zoom === 1) return;
+    event.preventDefault();
+    const { x, y } = canvasPoint(event);
+    pan = { x, y, col: appState.camera.col, row: appState.camera.row, moved: false };
+    setFollow(false);
+}
+
+function movePan(event) {
+    if (!pan) return;
+    if (pan.minimap) {
+        centreOnMinimap(event);
+        return;
+    }
+    const cam = appState.camera;
+    const { x, y } = canvasPoint(event);
+    if (x !== pan.x || y !== pan.y) pan.moved = true;
+    cam.col = pan.col - (x - pan.x) / cellWidth(cam.zoom);
+    cam.row = pan.row - (y - pan.y) / cellHeight(cam.zoom);
+    clampCamera();
+}
+
+function endPan() {
+    panDragged = pan !== null && (pan.minimap || pan.moved);
+    pan = null;
+}
+
+function setFollow(follow) {
+    const cam = appState.camera;
+    cam.follow = follow;
+    document.getElementById('followCam').checked = follow;
+    if (follow && cam.zoom === 1 && maze.width > 0) {
+        zoomAt(FOLLOW_ZOOM, canvas.width / 2, canvas.height / 2);
+    }
+}
+
+// Ease the view towards the solver's focus() cell (DFS head, an MT thread, the walker)
+function followSolver() {
+    const cam = appState.camera;
+    const solver = appState.solver;
+    if (!cam.follow || cam.zoom === 1 || !solver || !solver.focus || appState.state === "GENERATING") return;
+    const pos = solver.focus();
+    if (!pos) return;
+    const col = pos.col + 0.5 - maze.width / cam.zoom / 2;
+    const row = pos.row + 0.5 - maze.height / cam.zoom / 2;
+    cam.col += (col - cam.col) * FOLLOW_EASE;
+    cam.row += (row - cam.row) * FOLLOW_EASE;
+    clampCamera();
+}
+
+// Where the minimap sits on the canvas: bottom-right corner, maze aspect ratio
+function minimapRect() {
+    const scale = MINIMAP_SIZE / Math.max(maze.width, maze.height);
+    const w = Math.max(1, Math.round(maze.width * scale));
+    const h = Math.max(1, Math.round(maze.height * scale));
+    return { x: canvas.width - w - MINIMAP_MARGIN, y: canvas.height - h - MINIMAP_MARGIN, w, h };
+}
+
+// The minimap is only shown while zoomed in
+function overMinimap(event) {
+    if (appState.camera.zoom === 1 || maze.width === 0) return false;
+    const { x, y } = canvasPoint(event);
+    const r = minimapRect();
+    return x >= r.x && x < r.x + r.w && y >= r.y && y < r.y + r.h;
+}
+
+function centreOnMinimap(event) {
+    const cam = appState.camera;
+    const { x, y } = canvasPoint(event);
+    const r = minimapRect();
+    cam.col = (x - r.x) / r.w * maze.width - maze.width / cam.zoom / 2;
+    cam.row = (y - r.y) / r.h * maze.height - maze.height / cam.zoom / 2;
+    clampCamera();
+}
+
+// Whole maze, same colouring as the main view, with the visible part outlined
+function drawMinimap(view, dirty) {
+    const cam = appState.camera;
+    if (cam.zoom === 1 || maze.width === 0) {
+        minimapRenderer.invalidate();
+        return;
+    }
+    const r = minimapRect();
+    if (minimapCanvas.width !== r.w || minimapCanvas.height !== r.h) {
+        minimapCanvas.width = r.w;
+        minimapCanvas.height = r.h;
+    }
+    minimapRenderer.render(minimapCtx, r.w, r.h, maze, {
+        ...view, ...wallStyle(r.w, r.h, maze), running: false, camera: null
+    }, dirty);
+
+    ctx.drawImage(minimapCanvas, r.x, r.y);
+    ctx.strokeStyle = COLOR_MINIMAP_BORDER;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(r.x - 1, r.y - 1, r.w + 2, r.h + 2);
+    ctx.strokeStyle = COLOR_VIEWPORT;
+    ctx.strokeRect(r.x + cam.col / maze.width * r.w, r.y + cam.row / maze.height * r.h, r.w / cam.zoom, r.h / cam.zoom);
+}
+
+// ==========================================
+// CELL INSPECTOR
+// ==========================================
+
+// Decoded state (Maze.inspect) of the hovered cell and of pinned cells, refreshed every
+// frame so pins can be watched while the solver runs. Click pins / unpins a cell.
+const MAX_PINS = 6; // pinning more drops the oldest
+const COLOR_PIN = "#00E5FF";
+
+const inspector = { hover: null, pins: [] }; // Positions
+
+function trackHover(event) {
+    if (maze.width === 0) return;
+    const pos = cellAt(event);
+    inspector.hover = maze.isInside(pos) ? pos : null;
+}
+
+function clearHover() {
+    inspector.hover = null;
+}
+
+function pinAt(event) {
+    const pos = cellAt(event);
+    if (!maze.isInside(pos)) return;
+    const i = inspector.pins.findIndex(p => p.eq(pos));
+    if (i !== -1) {
+        inspector.pins.splice(i, 1);
+        return;
+    }
+    inspector.pins.push(pos);
+    if (inspector.pins.length > MAX_PINS) inspector.pins.shift();
+}
+
+function clearPins() {
+    inspector.pins = [];
+    inspector.hover = null;
+}
+
+// One column per cell, the hovered one first
+function renderInspector() {
+    const table = document.getElementById('inspector');
+    const cells = inspector.pins.map((pos, i) => [`Pin ${i + 1}`, pos]);
+    if (inspector.hover) cells.unshift(["Hover", inspector.hover]);
+    if (cells.length === 0 || maze.width === 0) {
+        fillTable(table, []);
+        return;
+    }
+
+    const infos = cells.map(([, pos]) => maze.inspect(pos));
+    const list = (items) => items.length > 0 ? items.join(' ') : '—';
+    const row = (label, text) => [label, ...infos.map(text)];
+    fillTable(table, [
+        ["", ...cells.map(([label]) => label)],
+        ["Cell", ...cells.map(([, pos]) => `(${pos.row}, ${pos.col})`)],
+        row("Walls", c => list(c.walls)),
+        row("Flags", c => list(c.flags)),
+        row("Parent", c => c.parent || '—'),
+        row("Dead", c => list(c.dead)),
+        row("Occupied", c => list(c.occupied)),
+        row("Visit order", c => c.visitOrder === -1 ? '—' : c.visitOrder),
+        row("Thread owner", c => c.owner === -1 ? '—' : c.owner),
+        row("Junction", c => c.junction ? 'yes' : 'no'),
+        row("Terrain", c => c.terrain),
+        row("Raw", c => '0x' + c.raw.toString(16).toUpperCase())
+    ], true);
+}
+
+// Numbered outlines on the pinned cells of the main canvas
+function drawPins() {
+    if (inspector.pins.length === 0 || maze.width === 0) return;
+    const cam = appState.camera;
+    const w = cellWidth(cam.zoom);
+    const h = cellHeight(cam.zoom);
+    ctx.strokeStyle = COLOR_PIN;
+    ctx.fillStyle = COLOR_PIN;
+    ctx.lineWidth = 2;
+    ctx.font = `${Math.max(9, Math.min(14, Math.round(h / 2)))}px sans-serif`;
+    inspector.pins.forEach((pos, i) => {
+        const x = (pos.col - cam.col) * w;
+        const y = (pos.row - cam.row) * h;
+        ctx.strokeRect(x, y, Math.max(w, 4), Math.max(h, 4));
+        ctx.fillText(String(i + 1), x + Math.max(w, 4) + 2, y + Math.max(h, 4));
+    });
+}
+
+// ==========================================
+// HEATMAP
+// ==========================================
+
+// HEAT_STOPS blended into 256 CSS colours, index 0 = earliest
+const HEAT_PALETTE = (() => {
+    const rgb = HEAT_STOPS.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    const palette = [];
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255 * (rgb.length - 1);
+        const k = Math.min(Math.floor(t), rgb.length - 2);
+        const f = t - k;
+        const [r, g, b] = [0, 1, 2].map(j => Math.round(rgb[k][j] + (rgb[k + 1][j] - rgb[k][j]) * f));
+        palette.push(`rgb(${r}, ${g}, ${b})`);
+    }
+    return palette;
+})();
+
+function heatColor(value, scale) {
+    return HEAT_PALETTE[Math.min(255, Math.round(value * 255 / scale))];
+}
+
+// Top of the colour bar for values up to max: a power of two, so the colours of cells
+// already painted only shift when a run doubles its reach, not on every step
+function heatScale(max) {
+    let scale = 16;
+    while (scale < max) scale *= 2;
+    return scale;
+}
+
+// What the heatmap colours by: visit order (Maze.visitOrder) or distance from the start
+// (Maze.depth). { mode, values, max, scale } with -1 for uncoloured cells, or null when
+// the mode is off.
+function heatValues(m, mode) {
+    if (!mode || m.width === 0) return null;
+    const values = mode === 'distance' ? m.depth : m.visitOrder;
+    const max = m.counts[mode === 'distance' ? Count.MAX_DEPTH : Count.MAX_ORDER];
+    return { mode, values, max, scale: heatScale(max) };
+}
+
+function setHeatmap(mode) {
+    appState.heatmap = mode;
+    document.getElementById('legend').style.display = mode ? 'none' : '';
+    document.getElementById('heat-legend').style.display = mode ? '' : 'none';
+    document.getElementById('heat-bar').style.background = `linear-gradient(to right, ${HEAT_STOPS.join(', ')})`;
+    if (comparison.active) comparison.draw();
+    else draw();
+}
+
+// Colour bar labels for the heatValues() in use (max -1: nothing recorded)
+function renderHeatLegend(heat) {
+    if (!heat) return;
+    const what = heat.mode === 'distance' ? 'Distance from start' : 'Visit order';
+    document.getElementById('heat-title').textContent = heat.max === -1
+        ? `${what}: not recorded by this solver (yet)`
+        : `${what}, up to ${heat.max} (path in green)`;
+    document.getElementById('heat-max').textContent = heat.max === -1 ? 0 : heat.scale;
+}
+
+// ==========================================
+// WALL EDITOR
+// ==========================================
+
+// Undo/redo for maze edits. Each entry is one user action (a click, a clear/fill, a paint
+// stroke): a list of { layer, idx, before, after } changes, so batch actions undo in one go.
+// layer is 'walls' (EAST_BIT/SOUTH_BIT) or 'terrain'.
+function applyEdit(target, change, value) {
+    if (change.layer === 'terrain') {
+        target.terrain[change.idx] = value;
+        target.markDirty(change.idx);
+    } else target.setWallBits(change.idx, value);
+}
+
+class EditHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    push(changes) {
+        if (changes.length === 0) return;
+        this.undoStack.push(changes);
+        this.redoStack = [];
+    }
+
+    undo(target) {
+        const changes = this.undoStack.pop();
+        if (!changes) return false;
+        for (let ch of changes) applyEdit(target, ch, ch.before);
+        this.redoStack.push(changes);
+        return true;
+    }
+
+    redo(target) {
+        const changes = this.redoStack.pop();
+        if (!changes) return false;
+        for (let ch of changes) applyEdit(target, ch, ch.after);
+        this.undoStack.push(changes);
+        return true;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+const editHistory = new EditHistory();
+
+// Distance (in cells) from an edge within which a click counts as hitting it
+const EDGE_PICK_TOLERANCE = 0.3;
+
+// Nearest interior edge to the mouse as [cell, direction], or null (cell centre / outer border)
+function edgeAt(event) {
+    const { col: fx, row: fy } = mazePoint(event);
+    const pos = new Position(Math.floor(fy), Math.floor(fx));
+    if (!maze.isInside(pos)) return null;
+
+    const dx = fx - pos.col;
+    const dy = fy - pos.row;
+    const edges = [[dy, Direction.North], [1 - dx, Direction.East], [1 - dy, Direction.South], [dx, Direction.West]];
+    edges.sort((a, b) => a[0] - b[0]);
+
+    const [dist, dir] = edges[0];
+    if (dist > EDGE_PICK_TOLERANCE || !maze.isInside(pos.move(dir))) return null;
+    return [pos, dir];
+}
+
+// Records the wall-bit change of every cell in `indices` made by `mutate`
+function recordEdit(indices, mutate) {
+    const before = indices.map(i => maze.getWallBits(i));
+    mutate();
+    const changes = [];
+    indices.forEach((idx, k) => {
+        const after = maze.getWallBits(idx);
+        if (after !== before[k]) changes.push({ layer: 'walls', idx, before: before[k], after });
+    });
+    editHistory.push(changes);
+}
+
+// Terrain brush: one stroke (mouse down -> up) is one undo entry
+let paintStroke = null; // cell index -> terrain before the stroke
+
+function paintAt(event) {
+    const pos = cellAt(event);
+    if (!maze.isInside(pos)) return;
+    const idx = maze._cellIndex(pos);
+    if (!paintStroke.has(idx)) paintStroke.set(idx, maze.terrain[idx]);
+    maze.setTerrain(pos, Terrain[appState.editTool]);
+}
+
+function startPaint(event) {
+    if (!appState.editMode || appState.editTool === 'Walls' || event.shiftKey || event.altKey) return;
+    if (event.button !== 0 || overMinimap(event)) return;
+    paintStroke = new Map();
+    paintAt(event);
+}
+
+function continuePaint(event) {
+    if (paintStroke) paintAt(event);
+}
+
+function endPaint() {
+    if (!paintStroke) return;
+    const changes = [];
+    for (let [idx, before] of paintStroke) {
+        if (maze.terrain[idx] !== before) changes.push({ layer: 'terrain', idx, before, after: maze.terrain[idx] });
+    }
+    editHistory.push(changes);
+    paintStroke = null;
+}
+
+function setEditTool(name) {
+    appState.editTool = name;
+}
+
+function toggleWallAt(event) {
+    const edge = edgeAt(event);
+    if (!edge) return;
+    const [pos, dir] = edge;
+
+    // North/West walls live on the neighbour, see Maze._wallOwner
+    const [owner] = maze._wallOwner(pos, dir);
+    recordEdit([maze._cellIndex(owner)], () => {
+        if (maze.canMove(pos, dir)) maze.addWall(pos, dir);
+        else maze.removeWall(pos, dir);
+    });
+}
+
+// Clear: remove every interior wall (the outer border stays). Fill: wall off every cell.
+function setAllWalls(fill) {
+    if (!appState.editMode) return;
+    const all = Array.from({ length: maze.width * maze.height }, (_, i) => i);
+    recordEdit(all, () => {
+        for (let r = 0; r < maze.height; r++) {
+            for (let c = 0; c < maze.width; c++) {
+                let bits = fill ? WALL_MASK : 0;
+                if (c === maze.width - 1) bits |= InternalBit.EAST_BIT;
+                if (r === maze.height - 1) bits |= InternalBit.SOUTH_BIT;
+                maze.setWallBits(r * maze.width + c, bits);
+            }
+        }
+    });
+}
+
+function undoEdit() {
+    if (appState.editMode) editHistory.undo(maze);
+}
+
+function redoEdit() {
+    if (appState.editMode) editHistory.redo(maze);
+}
+
+function toggleEditMode() {
+    if (appState.editMode) stopEditing(true);
+    else startEditing();
+}
+
+function startEditing() {
+    if (maze.width === 0 || appState.state === "GENERATING") return;
+    comparison.stop();
+    stopSolver();
+    showValidation(null);
+    timeline.clear();
+    appState.editMode = true;
+    appState.state = "EDITING";
+    maze.Reset();
+    document.getElementById('editBtn').classList.add('active');
+    document.getElementById('edit-tools').style.display = '';
+    setStatus("Editing: click near an edge to toggle a wall, or drag to paint terrain.");
+}
+
+// restart = true when the user finished editing; loading a new maze passes false
+function stopEditing(restart) {
+    if (!appState.editMode) return;
+    appState.editMode = false;
+    document.getElementById('editBtn').classList.remove('active');
+    document.getElementById('edit-tools').style.display = 'none';
+    if (restart) {
+        maze.computeSolvable();
+        initSolver();
+    }
+}
+
+// ==========================================
+// PLAYBACK (PAUSE / STEP / STEP BACK)
+// ==========================================
+
+// The timeline keeps the phase of every step for the scrubber and maze snapshots at
+// intervals; dragging the scrubber shows the nearest one at once. For a resumable solver
+// (see registerSolver) each snapshot also holds a copy of the solver, and stepping back
+// continues from the nearest one at or before the target. Other solvers are re-run from
+// step 0 with the same options (schedulers are seeded) without drawing, and the replay
+// checks itself against the snapshots.
+const SNAPSHOT_BUDGET = 64 * 1024 * 1024; // bytes for all snapshots of one run
+const MAX_SNAPSHOTS = 64;
+const FIRST_SNAPSHOT_INTERVAL = 16; // steps; doubles whenever a limit is reached
+
+class RunTimeline {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.phases = []; // [first step, state] for each run of equal states
+        this.total = 0; // furthest step recorded
+        this.snapshots = []; // { step, state: maze snapshot, solver: copy or null, bytes }, ascending
+        this.bytes = 0;
+        this.interval = FIRST_SNAPSHOT_INTERVAL;
+        this.resumable = false;
+        this.diverged = -1; // step at which a replay no longer matched, or -1
+    }
+
+    // A new run on `target`, at step 0; solver is null unless it is resumable
+    start(target, solver) {
+        this.clear();
+        this.resumable = solver !== null;
+        this.snapshot(0, target, solver);
+    }
+
+    snapshot(step, target, solver) {
+        const state = target.snapshot();
+        const size = { bytes: state.data.length * 13 };
+        const copy = this.resumable ? copyRunState(solver, size) : null;
+        this.snapshots.push({ step, state, solver: copy, bytes: size.bytes });
+        this.bytes += size.bytes;
+
+        // Over a limit: keep every other one (step 0 always stays)
+        while (this.snapshots.length > 1 && (this.snapshots.length > MAX_SNAPSHOTS || this.bytes > SNAPSHOT_BUDGET)) {
+            this.interval *= 2;
+            this.snapshots = this.snapshots.filter(s => s.step % this.interval === 0);
+            this.bytes = this.snapshots.reduce((n, s) => n + s.bytes, 0);
+        }
+    }
+
+    // Called after every solver step, live or replayed
+    record(step, state, target, solver) {
+        if (step <= this.total) {
+            const snap = this.snapshots.find(s => s.step === step);
+            if (snap && !target.matchesSnapshot(snap.state)) {
+                // Not a deterministic solver: forget the old future and record this one
+                this.diverged = step;
+                this.truncate(step - 1);
+            } else {
+                return;
+            }
+        }
+
+        const last = this.phases[this.phases.length - 1];
+        if (!last || last[1] !== state) this.phases.push([step, state]);
+        this.total = step;
+
+        if (step % this.interval === 0) this.snapshot(step, target, solver);
+    }
+
+    // Drop everything recorded after `step`
+    truncate(step) {
+        this.total = step;
+        this.phases = this.phases.filter(([first]) => first <= step);
+        this.snapshots = this.snapshots.filter(s => s.step <= step);
+        this.bytes = this.snapshots.reduce((n, s) => n + s.bytes, 0);
+    }
+
+    phaseAt(step) {
+        let state = null;
+        for (let [first, s] of this.phases) {
+            if (first > step) break;
+            state = s;
+        }
+        return state;
+    }
+
+    // Latest snapshot at or before `step`
+    nearestSnapshot(step) {
+        let best = null;
+        for (let snap of this.snapshots) {
+            if (snap.step > step) break;
+            best = snap;
+        }
+        return best;
+    }
+}
+
+const timeline = new RunTimeline();
+
+// Scrubber drag: the live maze state to put back before seeking, and the step shown
+let scrub = null; // { live, step }
+
+function togglePause() {
+    setPaused(!appState.paused);
+}
+
+function setPaused(paused) {
+    appState.paused = paused;
+    const btn = document.getElementById('pauseBtn');
+    btn.textContent = paused ? 'Resume' : 'Pause';
+    btn.classList.toggle('active', paused);
+}
+
+// Step / Step-N: advance n yields (generation too), then stay paused
+function stepForward(n) {
+    if (appState.editMode) return;
+    setPaused(true);
+    if (comparison.active) {
+        comparison.step(n);
+        return;
+    }
+    for (let i = 0; i < n && !isDone(); i++) advance();
+}
+
+function stepN() {
+    stepForward(Math.max(1, parseInt(document.getElementById('stepCount').value) || 1));
+}
+
+function stepBack() {
+    setPaused(true);
+    if (comparison.active) {
+        comparison.seek(comparison.steps - 1);
+        return;
+    }
+    seekStep(appState.steps - 1);
+}
+
+// Bring the current solver run to `target` (clamped to what the timeline has seen):
+// forward by stepping (from a checkpoint if that is closer), backward from the nearest
+// checkpoint, or by replaying from step 0 for solvers without them
+function seekStep(target) {
+    if (appState.editMode || appState.state === "GENERATING" || !appState.solver) return;
+    if (appState.solver instanceof WorkerMTSolver) {
+        setStatus("Worker runs can't be stepped back: real threads don't repeat their interleaving.", 'warn');
+        return;
+    }
+    target = Math.max(0, Math.min(target, timeline.total));
+    if (target === appState.steps) return;
+
+    const snap = timeline.nearestSnapshot(target);
+    if (snap && snap.solver && (target < appState.steps || snap.step > appState.steps)) resumeFrom(snap);
+    else if (target < appState.steps) initSolver(true);
+    while (appState.steps < target && !isDone()) advance();
+
+    if (timeline.diverged !== -1) {
+        setStatus(`Replay differed from the recorded run at step ${timeline.diverged}: ${appState.algorithm} is not deterministic here.`, 'warn');
+        timeline.diverged = -1;
+    } else if (!isDone()) {
+        setStatus(`Paused at step ${appState.steps} of ${timeline.total} (${timeline.phaseAt(appState.steps) || 'start'}).`);
+    }
+}
+
+// Continue the run from a checkpoint: its maze state and a fresh copy of its solver
+function resumeFrom(snap) {
+    maze.restoreSnapshot(snap.state);
+    appState.solver = copyRunState(snap.solver);
+    appState.generator = appState.solver.solve_step_by_step();
+    appState.steps = snap.step;
+    appState.state = timeline.phaseAt(snap.step) || "RUNNING";
+    showValidation(null);
+    if (isDone()) reportResult();
+}
+
+// Step under the mouse on the timeline canvas
+function timelineStepAt(event) {
+    const rect = timelineBar.getBoundingClientRect();
+    const x = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return Math.round(x * timeline.total);
+}
+
+// While dragging, show the nearest snapshot; the exact step is replayed on release
+function startScrub(event) {
+    if (comparison.active || appState.editMode || appState.state === "GENERATING" || timeline.total === 0) return;
+    if (appState.solver instanceof WorkerMTSolver) return;
+    setPaused(true);
+    scrub = { live: maze.snapshot(), step: appState.steps };
+    moveScrub(event);
+}
+
+function moveScrub(event) {
+    if (!scrub) return;
+    scrub.step = timelineStepAt(event);
+    const snap = timeline.nearestSnapshot(scrub.step);
+    if (snap) maze.restoreSnapshot(snap.state);
+}
+
+function endScrub() {
+    if (!scrub) return;
+    maze.restoreSnapshot(scrub.live);
+    const target = scrub.step;
+    scrub = null;
+    seekStep(target);
+}
+
+function drawTimeline() {
+    const tctx = timelineBar.getContext('2d');
+    const w = timelineBar.width;
+    const h = timelineBar.height;
+    tctx.fillStyle = COLOR_TIMELINE_EMPTY;
+    tctx.fillRect(0, 0, w, h);
+
+    const total = timeline.total;
+    const label = document.getElementById('timeline-label');
+    if (total === 0) {
+        label.textContent = appState.state === "GENERATING" ? `Generating, step ${appState.steps}` : 'Step 0';
+        return;
+    }
+
+    const x = (step) => step / total * w;
+    timeline.phases.forEach(([first, state], i) => {
+        const next = i + 1 < timeline.phases.length ? timeline.phases[i + 1][0] : total + 1;
+        tctx.fillStyle = PHASE_COLORS[state] || COLOR_TIMELINE_EMPTY;
+        tctx.fillRect(x(first), 0, Math.max(1, x(next) - x(first)), h);
+    });
+
+    const shown = scrub ? scrub.step : appState.steps;
+    tctx.fillStyle = COLOR_TIMELINE_CURSOR;
+    tctx.fillRect(Math.min(w - 2, x(shown) - 1), 0, 2, h);
+
+    const snap = scrub ? timeline.nearestSnapshot(scrub.step) : null;
+    label.textContent = snap && snap.step !== scrub.step
+        ? `Step ${scrub.step} / ${total} (showing ${snap.step})`
+        : `Step ${shown} / ${total}${appState.paused ? ' (paused)' : ''}`;
+}
+
+// ==========================================
+// COMPARISON MODE
+// ==========================================
+
+// Two or four panels, each running its own solver on its own copy of the current maze.
+// The main loop steps them in lockstep (same speed slider, Pause / Step), so step counts
+// compare directly. MT solvers run simulated here: real threads have no steps to compare.
+const COMPARE_DEFAULTS = ['BFS', 'DFS', 'MT_M2', 'MT_M1'];
+const COMPARE_WIDTH = 1155; // total area, same as the main canvas
+const COMPARE_HEIGHT = 760;
+
+class ComparePanel {
+    constructor(name) {
+        this.name = name;
+        this.maze = null;
+        this.solver = null;
+        this.generator = null;
+        this.state = "RUNNING";
+        this.steps = 0;
+        this.foundAt = -1; // step at which the search stopped (end reached or given up)
+        this.validation = null;
+        this.error = null; // what the solver threw, if it did
+        this.timeline = new RunTimeline();
+
+        this.el = document.createElement('div');
+        this.el.className = 'compare-panel';
+        const header = document.createElement('div');
+        header.className = 'compare-header';
+        this.select = document.createElement('select');
+        this.select.onchange = () => {
+            this.name = this.select.value;
+            comparison.restart();
+        };
+        this.counter = document.createElement('span');
+        header.appendChild(this.select);
+        header.appendChild(this.counter);
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.renderer = new MazeRenderer();
+        this.el.appendChild(header);
+        this.el.appendChild(this.canvas);
+    }
+
+    // Fresh copy of `source` and a fresh run of this panel's solver on it
+    start(source) {
+        this.select.innerHTML = '';
+        for (let name of SOLVER_REGISTRY.keys()) {
+            const o = document.createElement('option');
+            o.value = name;
+            o.textContent = name;
+            this.select.appendChild(o);
+        }
+        this.select.value = this.name;
+
+        this.maze = source.clone();
+        this.maze.Reset();
+        const entry = SOLVER_REGISTRY.get(this.name);
+        const opts = optionsFor(this.name);
+        this.solver = entry.create(this.maze, opts.workers ? { ...opts, workers: false } : opts);
+        keepSeed(this.solver, opts);
+        this.generator = this.solver.solve_step_by_step();
+        this.state = "RUNNING";
+        this.steps = 0;
+        this.foundAt = -1;
+        this.validation = null;
+        this.error = null;
+        this.timeline.start(this.maze, isResumable(entry, this.solver) ? this.solver : null);
+        this.style = wallStyle(this.canvas.width, this.canvas.height, this.maze);
+    }
+
+    isDone() {
+        return this.state === "FINISHED" || this.state === "NO_SOLUTION";
+    }
+
+    step() {
+        if (this.isDone()) return;
+        try {
+            const res = this.generator.next();
+            this.state = res.done ? "FINISHED" : (res.value || "RUNNING");
+        } catch (e) {
+            // A crashed solver ends its panel's run without a path; the summary shows why
+            console.error(`${this.name} failed:`, e);
+            this.error = e;
+            this.state = "NO_SOLUTION";
+        }
+        this.steps += 1;
+        this.timeline.record(this.steps, this.state, this.maze, this.solver);
+        this.settle();
+    }
+
+    // foundAt (first recorded phase past the search) and the validation for this step
+    settle() {
+        const stop = this.timeline.phases.find(([, state]) => state !== "SEARCHING" && state !== "RUNNING");
+        this.foundAt = stop && stop[0] <= this.steps ? stop[0] : -1;
+        const entry = SOLVER_REGISTRY.get(this.name);
+        this.validation = this.isDone() ? validatePath(this.maze, this.state === "FINISHED", entry.complete) : null;
+    }
+
+    // Back to `target`: from the nearest checkpoint if the solver is resumable, else from a
+    // fresh start, then forward
+    seek(target) {
+        const snap = this.timeline.nearestSnapshot(target);
+        if (snap && snap.solver) {
+            this.maze.restoreSnapshot(snap.state);
+            this.solver = copyRunState(snap.solver);
+            this.generator = this.solver.solve_step_by_step();
+            this.steps = snap.step;
+            this.state = this.timeline.phaseAt(snap.step) || "RUNNING";
+            if (!this.isDone()) this.error = null;
+            this.settle();
+        } else {
+            this.start(maze);
+        }
+        while (this.steps < target && !this.isDone()) this.step();
+    }
+
+    draw(heat) {
+        this.renderer.render(this.ctx, this.canvas.width, this.canvas.height, this.maze, {
+            entry: SOLVER_REGISTRY.get(this.name),
+            options: optionsFor(this.name),
+            solver: this.solver,
+            generating: false,
+            running: !this.isDone(),
+            validation: this.validation,
+            heat,
+            ...this.style
+        });
+
+        let text = `${this.steps} steps`;
+        if (this.error) text += ', error';
+        else if (this.state === "NO_SOLUTION") text += ', no solution';
+        else if (this.foundAt !== -1) text += `, end reached at ${this.foundAt}`;
+        if (this.validation) text += this.validation.ok ? ' ✓' : ' ✗';
+        this.counter.textContent = text;
+    }
+}
+
+class Comparison {
+    constructor() {
+        this.active = false;
+        this.panels = [];
+        this.steps = 0; // lockstep steps so far
+        this.reported = false;
+    }
+
+    // Show `count` panels on the current maze (keeps the solvers of existing panels)
+    start(count) {
+        if (maze.width === 0 || appState.state === "GENERATING" || appState.editMode) return;
+        const names = this.panels.map(p => p.name);
+        this.panels = [];
+        for (let i = 0; i < count; i++) this.panels.push(new ComparePanel(names[i] || COMPARE_DEFAULTS[i]));
+
+        const box = document.getElementById('compare-panels');
+        box.innerHTML = '';
+        const rows = count > 2 ? 2 : 1;
+        for (let p of this.panels) {
+            p.canvas.width = Math.floor(COMPARE_WIDTH / 2) - 10;
+            p.canvas.height = Math.floor(COMPARE_HEIGHT / rows) - 30;
+            box.appendChild(p.el);
+        }
+
+        this.active = true;
+        stopSolver();
+        canvas.style.display = 'none';
+        document.getElementById('compare').style.display = '';
+        document.getElementById('compareBtn').classList.add('active');
+        this.restart();
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        canvas.style.display = '';
+        document.getElementById('compare').style.display = 'none';
+        document.getElementById('compareBtn').classList.remove('active');
+        // The single view picks up where it was, except that worker runs were abandoned
+        if (appState.solver instanceof WorkerMTSolver && !isDone()) initSolver();
+    }
+
+    restart() {
+        stopSolver();
+        for (let p of this.panels) p.start(maze);
+        this.steps = 0;
+        this.reported = false;
+        this.showSummary();
+        setStatus(`Comparing ${this.panels.map(p => p.name).join(', ')}...`);
+    }
+
+    allDone() {
+        return this.panels.every(p => p.isDone());
+    }
+
+    step(n) {
+        for (let i = 0; i < n && !this.allDone(); i++) {
+            for (let p of this.panels) p.step();
+            this.steps += 1;
+        }
+        if (this.allDone() && !this.reported) {
+            this.reported = true;
+            this.showSummary();
+        }
+    }
+
+    // Forward in lockstep; back by seeking every panel (see ComparePanel.seek)
+    seek(target) {
+        target = Math.max(0, target);
+        if (target >= this.steps) {
+            this.step(target - this.steps);
+            return;
+        }
+        for (let p of this.panels) p.seek(target);
+        this.steps = target;
+        this.reported = this.allDone();
+        this.showSummary();
+    }
+
+    // In heatmap mode all panels share one scale, so equal colours mean equal order / distance
+    draw() {
+        const heats = this.panels.map(p => heatValues(p.maze, appState.heatmap));
+        const max = Math.max(-1, ...heats.map(h => h ? h.max : -1));
+        const shared = (h) => h && { ...h, max, scale: heatScale(max) };
+        this.panels.forEach((p, i) => p.draw(shared(heats[i])));
+        renderHeatLegend(shared(heats[0]));
+    }
+
+    // Ranking by the step each panel reached the end, once every panel has finished
+    showSummary() {
+        const table = document.getElementById('compare-summary');
+        if (!this.allDone()) {
+            fillTable(table, []);
+            return;
+        }
+
+        const ranked = [...this.panels].sort((a, b) => {
+            const ka = a.state === "FINISHED" ? a.foundAt : Infinity;
+            const kb = b.state === "FINISHED" ? b.foundAt : Infinity;
+            return ka - kb;
+        });
+        const rows = [["#", "Solver", "Reached end", "Total steps", "Path", "Terrain cost", "Check"]];
+        ranked.forEach((p, i) => {
+            const { length, cost } = p.maze.pathStats();
+            const found = p.state === "FINISHED";
+            const reached = found ? `step ${p.foundAt}` : p.error ? `error: ${p.error.message}` : 'no solution';
+            rows.push([
+                found ? i + 1 : '-', p.name, reached, p.steps,
+                found ? length : '-', found ? cost : '-', p.validation.ok ? 'PASS' : `FAIL: ${p.validation.message}`
+            ]);
+        });
+        fillTable(table, rows, true);
+
+        const winner = ranked[0];
+        if (winner.state === "FINISHED") setStatus(`${winner.name} reached the end first, at step ${winner.foundAt}.`);
+        else setStatus("No panel found a path.", maze.isSolvable() ? 'warn' : 'info');
+    }
+}
+
+const comparison = new Comparison();
+
+function toggleCompare() {
+    if (comparison.active) comparison.stop();
+    else comparison.start(parseInt(document.getElementById('compareCount').value));
+}
+
+function setCompareCount(count) {
+    if (comparison.active) comparison.start(parseInt(count));
+}
+
+// ==========================================
+// STATS PANEL
+// ==========================================
+
+// Replace the rows of `table` (arrays of cell texts; the first one as <th> if header),
+// leaving the DOM alone when nothing changed since the last call
+function fillTable(table, rows, header = false) {
+    const key = JSON.stringify(rows);
+    if (table.dataset.rows === key) return;
+    table.dataset.rows = key;
+    table.innerHTML = '';
+    rows.forEach((cells, r) => {
+        const tr = document.createElement('tr');
+        for (let text of cells) {
+            const td = document.createElement(header && r === 0 ? 'th' : 'td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    });
+}
+
+function formatMs(ms) {
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Run totals plus the solver's own per-thread table (threadStats), refreshed every frame
+function renderStats() {
+    const table = document.getElementById('stats');
+    const threads = document.getElementById('thread-stats');
+    const solver = appState.solver;
+    if (!solver || appState.state === "GENERATING" || appState.editMode) {
+        fillTable(table, []);
+        fillTable(threads, []);
+        return;
+    }
+
+    const workers = solver instanceof WorkerMTSolver;
+    const cells = maze.width * maze.height;
+    const visited = maze.counts[Count.REACHED];
+    const pathKnown = appState.state === "BACKTRACKING" || appState.state === "FINISHED";
+    const elapsed = workers && isDone() ? solver.elapsedMs : appState.elapsedMs;
+
+    const rows = [
+        ["Steps", workers ? '—' : appState.steps],
+        ["Cells visited", `${visited} (${(100 * visited / cells).toFixed(1)}%)`],
+        ["Frontier now", solver.frontierSize ? solver.frontierSize() : '—'],
+        ["Peak frontier", solver.frontierSize ? appState.peakFrontier : '—'],
+        ["Path length", pathKnown ? maze.pathStats().length : '—'],
+        [workers ? "Wall-clock" : "Elapsed", formatMs(elapsed)]
+    ];
+    fillTable(table, rows);
+
+    if (solver.threadStats) {
+        const { columns, rows: perThread } = solver.threadStats();
+        fillTable(threads, [columns, ...perThread], true);
+    } else {
+        fillTable(threads, []);
+    }
+}
+
+// ==========================================
+// MAIN LOOP
+// ==========================================
+
+// Advance the active generator (maze generation or solver) by one yield
+function advance() {
+    const solving = appState.state !== "GENERATING" && appState.solver;
+    try {
+        const res = appState.generator.next();
+        appState.state = res.done ? "FINISHED" : (res.value || "RUNNING");
+    } catch (e) { appState.state = "FINISHED"; }
+    appState.steps += 1;
+    if (solving) {
+        timeline.record(appState.steps, appState.state, maze, appState.solver);
+        if (appState.solver.frontierSize) appState.peakFrontier = Math.max(appState.peakFrontier, appState.solver.frontierSize());
+    }
+
+    // Generation done: hand the fresh maze over to the selected solver
+    if (appState.state === "GENERATED") initSolver();
+    else if (isDone()) reportResult();
+}
+
+function isDone() {
+    return appState.state === "FINISHED" || appState.state === "NO_SOLUTION";
+}
+
+// Solver steps to take this frame for the speed slider (negative = frames per step)
+function stepsThisFrame() {
+    const val = parseInt(slider.value);
+    if (val >= 0) return val + 1;
+    appState.frameCounter++;
+    if (appState.frameCounter <= Math.abs(val)) return 0;
+    appState.frameCounter = 0;
+    return 1;
+}
+
+// Animation Loop
+function loop() {
+    if (comparison.active) {
+        if (!appState.paused) comparison.step(stepsThisFrame());
+        comparison.draw();
+    } else {
+        const now = performance.now();
+        if (!isDone() && !appState.editMode && !appState.paused) {
+            if (appState.lastFrame) appState.elapsedMs += now - appState.lastFrame;
+            const steps = stepsThisFrame();
+            for (let i = 0; i < steps && !isDone(); i++) advance();
+        }
+        appState.lastFrame = now;
+        followSolver();
+        draw();
+        drawTimeline();
+        renderStats();
+        renderInspector();
+    }
+    requestAnimationFrame(loop);
+}
+
+// Local files: picker and drag-and-drop onto the canvas
+document.getElementById('fileInput').addEventListener('change', (e) => {
+    openMazeFile(e.target.files[0]);
+    e.target.value = '';
+});
+
+canvas.addEventListener('click', onCanvasClick);
+canvas.addEventListener('mousemove', showScores);
+canvas.addEventListener('mousemove', trackHover);
+canvas.addEventListener('mouseleave', clearHover);
+canvas.addEventListener('wheel', onWheel, { passive: false });
+canvas.addEventListener('mousedown', startPan);
+window.addEventListener('mousemove', movePan);
+window.addEventListener('mouseup', endPan);
+canvas.addEventListener('mousedown', startPaint);
+canvas.addEventListener('mousemove', continuePaint);
+window.addEventListener('mouseup', endPaint);
+
+document.addEventListener('keydown', (e) => {
+    if (!appState.editMode || !(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) undoEdit();
+    else if (key === 'y' || (key === 'z' && e.shiftKey)) redoEdit();
+    else return;
+    e.preventDefault();
+});
+
+// Playback: Space pauses / resumes, the arrow keys step (not while typing in a field)
+document.addEventListener('keydown', (e) => {
+    if (appState.editMode || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (e.key === ' ') togglePause();
+    else if (e.key === 'ArrowRight') stepForward(1);
+    else if (e.key === 'ArrowLeft') stepBack();
+    else return;
+    e.preventDefault();
+});
+
+timelineBar.addEventListener('mousedown', startScrub);
+window.addEventListener('mousemove', moveScrub);
+window.addEventListener('mouseup', endScrub);
+
+canvas.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+});
+
+canvas.addEventListener('drop', (e) => {
+    e.preventDefault();
+    if (e.dataTransfer.files.length > 0) openMazeFile(e.dataTransfer.files[0]);
+});
+
+// Solver buttons follow the registry (solvers.js and any plugin files register later)
+renderSolverControls();
+solverRegistryListeners.push(renderSolverControls);
+
+// Start
+loadMaze('50x50');
+loop();
\ No newline at end of file